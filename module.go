@@ -20,20 +20,50 @@ func init() {
 
 // JS: ethgo.signLegacyTx({nonce, gasPrice, gas, to, value, data, chainId}, privKeyHex) → hex string
 func (m *Module) SignLegacyTx(tx map[string]interface{}, privKeyHex string) (string, error) {
+	t := txFromMap(tx, ethgo.TransactionLegacy)
+	if v, ok := tx["gasPrice"]; ok {
+		t.GasPrice = uint64(intFromIface(v))
+	}
+	return signTx(t, privKeyHex)
+}
+
+// JS: ethgo.signAccessListTx({nonce, gasPrice, gas, to, value, data, chainId, accessList}, privKeyHex) → hex string
+func (m *Module) SignAccessListTx(tx map[string]interface{}, privKeyHex string) (string, error) {
+	t := txFromMap(tx, ethgo.TransactionAccessList)
+	if v, ok := tx["gasPrice"]; ok {
+		t.GasPrice = uint64(intFromIface(v))
+	}
+	return signTx(t, privKeyHex)
+}
+
+// JS: ethgo.signDynamicFeeTx({nonce, maxFeePerGas, maxPriorityFeePerGas, gas, to, value, data, chainId, accessList}, privKeyHex) → hex string
+func (m *Module) SignDynamicFeeTx(tx map[string]interface{}, privKeyHex string) (string, error) {
+	t := txFromMap(tx, ethgo.TransactionDynamicFee)
+	t.MaxFeePerGas = big.NewInt(0)
+	t.MaxPriorityFeePerGas = big.NewInt(0)
+	if v, ok := tx["maxFeePerGas"]; ok {
+		t.MaxFeePerGas = big.NewInt(intFromIface(v))
+	}
+	if v, ok := tx["maxPriorityFeePerGas"]; ok {
+		t.MaxPriorityFeePerGas = big.NewInt(intFromIface(v))
+	}
+	return signTx(t, privKeyHex)
+}
+
+// txFromMap fills the fields shared by every transaction type
+func txFromMap(tx map[string]interface{}, txType ethgo.TransactionType) *ethgo.Transaction {
 	t := &ethgo.Transaction{
-		Type: ethgo.TransactionLegacy,
+		Type:    txType,
+		ChainID: big.NewInt(0),
 	}
-	// Required fields
 	if v, ok := tx["nonce"]; ok {
 		t.Nonce = uint64(intFromIface(v))
 	}
-	if v, ok := tx["gasPrice"]; ok {
-		t.GasPrice = uint64(intFromIface(v))
-	}
 	if v, ok := tx["gas"]; ok {
 		t.Gas = uint64(intFromIface(v))
 	}
-	if v, ok := tx["to"]; ok {
+	// A missing, null or empty "to" leaves To nil, which makes a contract creation
+	if v, ok := tx["to"]; ok && v != nil && v != "" {
 		addr := ethgo.HexToAddress(v.(string))
 		t.To = &addr
 	}
@@ -51,12 +81,50 @@ func (m *Module) SignLegacyTx(tx map[string]interface{}, privKeyHex string) (str
 	if v, ok := tx["chainId"]; ok {
 		t.ChainID = big.NewInt(intFromIface(v))
 	}
+	if v, ok := tx["accessList"]; ok && txType != ethgo.TransactionLegacy {
+		t.AccessList = accessListFromIface(v)
+	}
+	return t
+}
+
+// accessListFromIface converts [{address, storageKeys}] from JS into an access list
+func accessListFromIface(v interface{}) ethgo.AccessList {
+	entries, ok := v.([]interface{})
+	if !ok {
+		return ethgo.AccessList{}
+	}
+	list := make(ethgo.AccessList, 0, len(entries))
+	for _, e := range entries {
+		entry, ok := e.(map[string]interface{})
+		if !ok {
+			continue
+		}
+		item := ethgo.AccessEntry{}
+		if addr, ok := entry["address"].(string); ok {
+			item.Address = ethgo.HexToAddress(addr)
+		}
+		if keys, ok := entry["storageKeys"].([]interface{}); ok {
+			for _, k := range keys {
+				if ks, ok := k.(string); ok {
+					item.Storages = append(item.Storages, ethgo.HexToHash(ks))
+				}
+			}
+		}
+		list = append(list, item)
+	}
+	return list
+}
 
+// signTx signs with the EIP-155 signer, which also produces typed (EIP-2718) envelopes
+func signTx(t *ethgo.Transaction, privKeyHex string) (string, error) {
 	pk, err := hex.DecodeString(privKeyHex)
 	if err != nil {
 		return "", err
 	}
 	key, err := wallet.NewWalletFromPrivKey(pk)
+	if err != nil {
+		return "", err
+	}
 
 	signer := wallet.NewEIP155Signer(t.ChainID.Uint64())
 	signed, err := signer.SignTx(t, key)
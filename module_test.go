@@ -5,6 +5,7 @@ import (
 	"encoding/hex"
 	"testing"
 
+	"github.com/umbracle/ethgo"
 	"github.com/umbracle/ethgo/wallet"
 )
 
@@ -74,3 +75,100 @@ func TestSignLegacyTx(t *testing.T) {
 	}
 	t.Logf("raw bytes: %s", rawHex)
 }
+
+func TestSignLegacyTxContractCreation(t *testing.T) {
+	// No "to": the signed transaction must be a CREATE carrying the init code
+	tx := map[string]interface{}{
+		"nonce":    0,
+		"gasPrice": 6 * 1e9,
+		"gas":      100000,
+		"data":     "0x6001600c60003960016000f300",
+		"chainId":  50312,
+	}
+
+	pkHex := hex.EncodeToString(bytes.Repeat([]byte{1}, 32))
+
+	m := &Module{}
+	rawHex, err := m.SignLegacyTx(tx, pkHex)
+	if err != nil {
+		t.Fatalf("SignLegacyTx error: %v", err)
+	}
+
+	rawBytes, err := hex.DecodeString(rawHex[2:])
+	if err != nil {
+		t.Fatalf("failed to decode signed tx hex: %v", err)
+	}
+
+	decoded := &ethgo.Transaction{}
+	if err := decoded.UnmarshalRLP(rawBytes); err != nil {
+		t.Fatalf("failed to decode signed tx: %v", err)
+	}
+	if decoded.To != nil {
+		t.Errorf("contract creation tx has recipient %s; want none", decoded.To.String())
+	}
+	if hex.EncodeToString(decoded.Input) != "6001600c60003960016000f300" {
+		t.Errorf("contract creation tx input = %x; want the init code", decoded.Input)
+	}
+}
+
+func TestSignAccessListTx(t *testing.T) {
+	tx := map[string]interface{}{
+		"nonce":    1,
+		"gasPrice": 6 * 1e9,
+		"gas":      21000,
+		"to":       "0x5fbdb2315678afecb367f032d93f642f64180aa3",
+		"value":    1000000000,
+		"chainId":  50312,
+		"accessList": []interface{}{
+			map[string]interface{}{
+				"address":     "0x5fbdb2315678afecb367f032d93f642f64180aa3",
+				"storageKeys": []interface{}{"0x0000000000000000000000000000000000000000000000000000000000000001"},
+			},
+		},
+	}
+
+	pkHex := hex.EncodeToString(bytes.Repeat([]byte{1}, 32))
+
+	m := &Module{}
+	rawHex, err := m.SignAccessListTx(tx, pkHex)
+	if err != nil {
+		t.Fatalf("SignAccessListTx error: %v", err)
+	}
+
+	rawBytes, err := hex.DecodeString(rawHex[2:])
+	if err != nil {
+		t.Fatalf("failed to decode signed tx hex: %v", err)
+	}
+	// EIP-2718 envelope: first byte is the transaction type
+	if rawBytes[0] != 0x01 {
+		t.Errorf("access list tx type byte = %#x; want 0x01", rawBytes[0])
+	}
+}
+
+func TestSignDynamicFeeTx(t *testing.T) {
+	tx := map[string]interface{}{
+		"nonce":                1,
+		"maxFeePerGas":         12 * 1e9,
+		"maxPriorityFeePerGas": 1e9,
+		"gas":                  21000,
+		"to":                   "0x5fbdb2315678afecb367f032d93f642f64180aa3",
+		"value":                1000000000,
+		"chainId":              50312,
+	}
+
+	pkHex := hex.EncodeToString(bytes.Repeat([]byte{1}, 32))
+
+	m := &Module{}
+	rawHex, err := m.SignDynamicFeeTx(tx, pkHex)
+	if err != nil {
+		t.Fatalf("SignDynamicFeeTx error: %v", err)
+	}
+
+	rawBytes, err := hex.DecodeString(rawHex[2:])
+	if err != nil {
+		t.Fatalf("failed to decode signed tx hex: %v", err)
+	}
+	if rawBytes[0] != 0x02 {
+		t.Errorf("dynamic fee tx type byte = %#x; want 0x02", rawBytes[0])
+	}
+}
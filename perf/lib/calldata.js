@@ -0,0 +1,67 @@
+/**
+ * Calldata Module
+ *
+ * Padded calldata and matching gas limits for the payload size sweep
+ * scenarios, rotating through PAYLOAD_SIZES iteration by iteration
+ */
+
+import exec from 'k6/execution';
+import { configManager } from './config-loader.js';
+
+// Get payload settings from config
+const rpcConfig = configManager.getRpcConfig();
+const blockchain = rpcConfig.blockchain;
+const payloadConfig = rpcConfig.payload;
+export const PAYLOAD_SIZES = (__ENV.PAYLOAD_SIZES || payloadConfig.sizes.join(','))
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(Number);
+const FILL_BYTE = payloadConfig.fillByte;
+
+if (PAYLOAD_SIZES.length === 0 || PAYLOAD_SIZES.some(n => !Number.isInteger(n) || n < 0)) {
+    throw new Error(`PAYLOAD_SIZES must be a comma-separated list of byte counts, got '${__ENV.PAYLOAD_SIZES}'`);
+}
+if (!/^[0-9a-fA-F]{2}$/.test(FILL_BYTE)) {
+    throw new Error(`payload.fillByte must be a single hex byte, got '${FILL_BYTE}'`);
+}
+
+// Padding per size, built once per VU since the largest sizes are long strings
+const paddingCache = {};
+
+/**
+ * Pick the payload size of the current iteration
+ *
+ * Sizes rotate by the scenario-wide iteration number, so every size gets the
+ * same share of the load no matter how iterations spread across VUs.
+ * @returns {number} Payload size in bytes
+ */
+export function nextPayloadSize() {
+    return PAYLOAD_SIZES[exec.scenario.iterationInTest % PAYLOAD_SIZES.length];
+}
+
+/**
+ * Hex padding of the given size (without 0x prefix)
+ * @param {number} bytes - Padding size in bytes
+ * @returns {string} Hex string of bytes * 2 characters
+ */
+export function buildPadding(bytes) {
+    if (paddingCache[bytes] === undefined) {
+        paddingCache[bytes] = FILL_BYTE.repeat(bytes);
+    }
+    return paddingCache[bytes];
+}
+
+/**
+ * Gas limit of a transaction whose calldata is padding of the given size
+ *
+ * Intrinsic gas plus the larger of the standard calldata cost and the
+ * EIP-7623 floor, both counted in tokens (zero byte = 1, non-zero byte = 4).
+ * @param {number} bytes - Padding size in bytes
+ * @returns {number} Gas limit
+ */
+export function payloadGasLimit(bytes) {
+    const tokens = bytes * (FILL_BYTE === '00' ? 1 : 4);
+    const perToken = Math.max(payloadConfig.gasPerToken, payloadConfig.floorGasPerToken);
+    return blockchain.defaultGasLimit.simple + tokens * perToken;
+}
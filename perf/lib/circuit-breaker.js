@@ -0,0 +1,132 @@
+/**
+ * Circuit Breaker Module
+ *
+ * Per-endpoint circuit breaker for the RPC client: opens when the share of
+ * transport failures over the last requests reaches the configured ratio,
+ * short-circuits requests while open and lets a single probe through once the
+ * open period has passed. State is kept per VU. Rate-limited responses show
+ * the endpoint is up and do not count as failures.
+ */
+
+import exec from 'k6/execution';
+import { configManager } from './config-loader.js';
+import { endpointState } from './metrics.js';
+import { endpointLabel, redactSecrets } from './endpoint-auth.js';
+
+// Get circuit breaker settings from config
+const breakerConfig = configManager.getRpcConfig().circuitBreaker;
+export const CIRCUIT_BREAKER_ENABLED = (__ENV.CIRCUIT_BREAKER || String(breakerConfig.enabled)) === 'true';
+const WINDOW_SIZE = Number(__ENV.CIRCUIT_WINDOW || breakerConfig.windowSize);
+const MIN_REQUESTS = Number(__ENV.CIRCUIT_MIN_REQUESTS || breakerConfig.minRequests);
+const ERROR_RATIO = Number(__ENV.CIRCUIT_ERROR_RATIO || breakerConfig.errorRatio);
+const OPEN_MS = Number(__ENV.CIRCUIT_OPEN_MS || breakerConfig.openMs);
+
+// Gauge values of somnia_endpoint_state
+const STATE_VALUES = { closed: 0, half_open: 1, open: 2 };
+
+// Breaker per endpoint ({ state, outcomes, openedAt })
+const breakers = {};
+
+/**
+ * Breaker of an endpoint in this VU
+ * @param {string} url - RPC endpoint URL
+ * @returns {object} Breaker state
+ */
+function breakerOf(url) {
+    if (!breakers[url]) {
+        breakers[url] = { state: 'closed', outcomes: [], openedAt: 0 };
+        endpointState.add(STATE_VALUES.closed, { endpoint: endpointLabel(url) });
+    }
+    return breakers[url];
+}
+
+/**
+ * Move a breaker to a new state and publish it
+ * @param {string} url - RPC endpoint URL
+ * @param {object} breaker - Breaker state
+ * @param {string} state - 'closed', 'half_open' or 'open'
+ */
+function transition(url, breaker, state) {
+    if (breaker.state === state) return;
+
+    breaker.state = state;
+    if (state === 'open') {
+        breaker.openedAt = Date.now();
+    }
+    if (state !== 'half_open') {
+        breaker.outcomes = [];
+    }
+    endpointState.add(STATE_VALUES[state], { endpoint: endpointLabel(url) });
+
+    // Every VU keeps its own breaker; only the first VU (and setup/teardown) logs transitions
+    if (exec.vu.idInTest > 1) return;
+    console.warn(redactSecrets(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: state === 'open' ? 'WARN' : 'INFO',
+        message: `Circuit ${state.replace('_', '-')}`,
+        endpoint: url,
+        open_ms: OPEN_MS
+    })));
+}
+
+/**
+ * Time left until an endpoint's open circuit lets a probe through
+ * @param {string} url - RPC endpoint URL
+ * @returns {number} Milliseconds until the half-open probe, 0 if the circuit is not open
+ */
+export function circuitOpenRemainingMs(url) {
+    if (!CIRCUIT_BREAKER_ENABLED || !breakers[url] || breakers[url].state !== 'open') return 0;
+
+    return Math.max(0, breakers[url].openedAt + OPEN_MS - Date.now());
+}
+
+/**
+ * Check whether a request to an endpoint may be sent
+ *
+ * An open breaker turns half-open after CIRCUIT_OPEN_MS and lets the next
+ * request through as a probe; VUs run requests one at a time, so the probe
+ * completes before another request is checked.
+ * @param {string} url - RPC endpoint URL
+ * @returns {boolean} False if the circuit is open
+ */
+export function allowRequest(url) {
+    if (!CIRCUIT_BREAKER_ENABLED) return true;
+
+    const breaker = breakerOf(url);
+    if (breaker.state === 'open') {
+        if (Date.now() - breaker.openedAt < OPEN_MS) {
+            return false;
+        }
+        transition(url, breaker, 'half_open');
+    }
+    return true;
+}
+
+/**
+ * Record whether an endpoint answered a request
+ *
+ * A half-open probe closes the circuit on success and reopens it on failure;
+ * a closed circuit opens once at least CIRCUIT_MIN_REQUESTS of the last
+ * CIRCUIT_WINDOW requests were seen and CIRCUIT_ERROR_RATIO of them failed.
+ * @param {string} url - RPC endpoint URL
+ * @param {boolean} ok - True if the endpoint answered with a JSON-RPC response
+ */
+export function recordCircuitOutcome(url, ok) {
+    if (!CIRCUIT_BREAKER_ENABLED) return;
+
+    const breaker = breakerOf(url);
+    if (breaker.state === 'half_open') {
+        transition(url, breaker, ok ? 'closed' : 'open');
+        return;
+    }
+
+    breaker.outcomes.push(ok);
+    if (breaker.outcomes.length > WINDOW_SIZE) {
+        breaker.outcomes.shift();
+    }
+
+    const failures = breaker.outcomes.filter(o => !o).length;
+    if (breaker.outcomes.length >= MIN_REQUESTS && failures / breaker.outcomes.length >= ERROR_RATIO) {
+        transition(url, breaker, 'open');
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * Contract Deployer Module
+ *
+ * Deploys the bundled SimpleHeavyTest contract (or any creation bytecode)
+ * in setup so contract scenarios do not depend on a pre-deployed address,
+ * and sends the CREATE transactions of the deployment throughput scenario
+ */
+
+import { jsonCall, rpcRequest } from './rpc-client.js';
+import { configManager } from './config-loader.js';
+import { buildRawTx, sendRawTx } from './wallet-manager.js';
+
+// Get deployment settings from config
+const deployConfig = configManager.getRpcConfig().deploy;
+export const DEPLOY_CONTRACT = __ENV.DEPLOY_CONTRACT === 'true';
+const DEPLOY_TIMEOUT = Number(__ENV.DEPLOY_TIMEOUT || deployConfig.receiptTimeoutSec);
+
+// Gas limits per endpoint and init code, estimated once per VU
+const deployGasCache = {};
+
+/**
+ * Load contract creation bytecode (init context only)
+ *
+ * CONTRACT_BYTECODE takes precedence; otherwise the Foundry artifact at
+ * CONTRACT_ARTIFACT (`forge build` output, bytecode.object) is read.
+ * @returns {string} 0x-prefixed creation bytecode
+ */
+export function loadContractBytecode() {
+    let bytecode = (__ENV.CONTRACT_BYTECODE || '').trim();
+    if (!bytecode) {
+        const artifactPath = (__ENV.CONTRACT_ARTIFACT || deployConfig.artifact).trim();
+        const artifact = JSON.parse(open(artifactPath));
+        bytecode = artifact.bytecode && (artifact.bytecode.object || artifact.bytecode);
+        if (typeof bytecode !== 'string' || bytecode.replace(/^0x/, '').length === 0) {
+            throw new Error(`Contract artifact ${artifactPath} has no bytecode, run 'forge build' in contracts/SimpleHeavyTestProject`);
+        }
+    }
+    return bytecode.startsWith('0x') ? bytecode : `0x${bytecode}`;
+}
+
+/**
+ * Resolve the init code deployed by each S22 iteration (init context only)
+ *
+ * DEPLOY_INIT_CODE is 'minimal' (a contract with a one-byte STOP runtime),
+ * 'artifact' (the SimpleHeavyTest bytecode, see loadContractBytecode) or
+ * raw 0x-prefixed init code.
+ * @returns {string} 0x-prefixed init code
+ */
+export function loadInitCode() {
+    const initCode = (__ENV.DEPLOY_INIT_CODE || deployConfig.initCode).trim();
+    if (initCode === 'minimal') {
+        return deployConfig.minimalInitCode;
+    }
+    if (initCode === 'artifact') {
+        return loadContractBytecode();
+    }
+    if (!/^0x([0-9a-fA-F]{2})+$/.test(initCode)) {
+        throw new Error(`DEPLOY_INIT_CODE must be 'minimal', 'artifact' or 0x-prefixed hex, got '${initCode}'`);
+    }
+    return initCode;
+}
+
+/**
+ * Size of init code in bytes, used as the bytecode_bytes tag
+ * @param {string} bytecode - 0x-prefixed bytecode
+ * @returns {number} Byte length
+ */
+export function bytecodeSize(bytecode) {
+    return (bytecode.length - 2) / 2;
+}
+
+/**
+ * Gas limit for deploying bytecode, from a cached estimate with the configured buffer
+ *
+ * Falls back to deploy.defaultGasLimit if the endpoint cannot estimate.
+ * @param {string} url - RPC endpoint URL
+ * @param {object} wallet - Deployer wallet object with addr
+ * @param {string} bytecode - 0x-prefixed creation bytecode
+ * @returns {number} Gas limit
+ */
+export function deployGasLimit(url, wallet, bytecode) {
+    const key = `${url}|${bytecode}`;
+    if (deployGasCache[key]) {
+        return deployGasCache[key];
+    }
+
+    // jsonCall hands eth_estimateGas RPC errors back as { error }
+    const estimate = jsonCall(url, 'eth_estimateGas', [{ from: wallet.addr, data: bytecode }], { op: 'deploy_estimate' });
+    if (typeof estimate !== 'string') {
+        return deployConfig.defaultGasLimit;
+    }
+
+    deployGasCache[key] = Math.ceil(Number(estimate) * deployConfig.gasLimitMultiplier);
+    return deployGasCache[key];
+}
+
+/**
+ * Sign and send a CREATE transaction without waiting for the receipt
+ * @param {string} url - RPC endpoint URL
+ * @param {object} wallet - Deployer wallet object with pk, addr and nonce
+ * @param {string} bytecode - 0x-prefixed creation bytecode
+ * @param {object} extraTags - Additional tags for metrics
+ * @param {function} expectFn - Result validation function
+ * @returns {string|null} Transaction hash or null on failure
+ */
+export function sendDeployTx(url, wallet, bytecode, extraTags = {}, expectFn = _ => true) {
+    const gasLimit = deployGasLimit(url, wallet, bytecode);
+    const raw = buildRawTx(url, wallet, null, 0, bytecode, { gasLimit });
+    return sendRawTx(url, wallet, raw, {
+        tx_type: 'contract_deploy',
+        bytecode_bytes: String(bytecodeSize(bytecode)),
+        ...extraTags
+    }, expectFn);
+}
+
+/**
+ * Deploy a contract and wait for its receipt
+ * @param {string} url - RPC endpoint URL
+ * @param {object} wallet - Deployer wallet object with pk, addr and nonce
+ * @param {string} bytecode - 0x-prefixed creation bytecode
+ * @param {function} sleepFn - Sleep function
+ * @returns {string} Deployed contract address
+ */
+export function deployContract(url, wallet, bytecode, sleepFn) {
+    const txHash = sendDeployTx(url, wallet, bytecode, { op: 'deploy_contract' });
+    if (!txHash) {
+        throw new Error(`Contract deployment from ${wallet.addr} was rejected`);
+    }
+
+    const deadline = Date.now() + DEPLOY_TIMEOUT * 1000;
+    while (Date.now() < deadline) {
+        const { result: receipt } = rpcRequest(url, 'eth_getTransactionReceipt', [txHash], { op: 'deploy_receipt' });
+        if (receipt) {
+            if (receipt.status !== '0x1' || !receipt.contractAddress) {
+                throw new Error(`Contract deployment ${txHash} failed with status ${receipt.status}`);
+            }
+            return receipt.contractAddress.toLowerCase();
+        }
+        sleepFn(1);
+    }
+
+    throw new Error(`Contract deployment ${txHash} was not mined within ${DEPLOY_TIMEOUT}s`);
+}
@@ -0,0 +1,220 @@
+/**
+ * Endpoint Auth Module
+ *
+ * Per-endpoint credentials and extra headers for gated RPC providers, from a
+ * JSON endpoints file (ENDPOINTS_FILE), inline JSON (ENDPOINTS_JSON) or
+ * default credentials in env, applied to HTTP and WebSocket requests alike.
+ * Every configured secret is redacted from structured logs, and URL paths and
+ * queries (where providers put API keys) from logs and metric tags.
+ */
+
+import encoding from 'k6/encoding';
+import { configManager } from './config-loader.js';
+
+// Get auth settings from config
+const authConfig = configManager.getRpcConfig().auth;
+export const ENDPOINTS_FILE = (__ENV.ENDPOINTS_FILE || authConfig.endpointsFile).trim();
+const API_KEY_HEADER = __ENV.RPC_API_KEY_HEADER || authConfig.apiKeyHeader;
+const AUTH_TYPES = ['bearer', 'api-key', 'basic'];
+const REDACTED = '[REDACTED]';
+
+// Secret values seen while building headers, longest first so overlapping secrets redact fully
+const secrets = [];
+
+// URLs with optional credentials, host and path/query
+const URL_PATTERN = /((?:https?|wss?):\/\/)([^/\s"@]*@)?([^/\s"?#]+)([^\s"]*)/g;
+
+// Sanitized labels per endpoint URL
+const endpointLabels = {};
+
+/**
+ * Strip trailing slashes so endpoint keys match RPC_URLS entries either way
+ * @param {string} url - Endpoint URL
+ * @returns {string} Normalized URL
+ */
+function normalizeUrl(url) {
+    return url.trim().replace(/\/+$/, '');
+}
+
+/**
+ * Resolve ${NAME} references to environment variables, so endpoints files can stay free of secrets
+ * @param {string} value - Configured value
+ * @returns {string} Value with references replaced
+ */
+function resolveEnv(value) {
+    return String(value).replace(/\$\{(\w+)\}/g, (_, name) => {
+        if (__ENV[name] === undefined) {
+            throw new Error(`Endpoint auth references unset environment variable ${name}`);
+        }
+        return __ENV[name];
+    });
+}
+
+/**
+ * Remember a secret for redaction
+ * @param {string} secret - Secret value
+ */
+function addSecret(secret) {
+    if (secret && !secrets.includes(secret)) {
+        secrets.push(secret);
+        secrets.sort((a, b) => b.length - a.length);
+    }
+}
+
+/**
+ * Build the headers of an auth entry
+ *
+ * - bearer: { token } sent as Authorization: Bearer <token>
+ * - api-key: { key, header } sent as <header>: <key> (header defaults to RPC_API_KEY_HEADER)
+ * - basic: { username, password } sent as Authorization: Basic <base64>
+ * @param {object} auth - Auth entry ({ type, ... })
+ * @param {string} source - Where the entry came from, for error messages
+ * @returns {object} Headers
+ */
+function authHeadersOf(auth, source) {
+    const type = String(auth.type || '').toLowerCase();
+    if (!AUTH_TYPES.includes(type)) {
+        throw new Error(`Unknown auth type '${auth.type}' for ${source}, expected one of: ${AUTH_TYPES.join(', ')}`);
+    }
+
+    if (type === 'bearer') {
+        const token = resolveEnv(auth.token || '');
+        if (!token) throw new Error(`Bearer auth for ${source} has no token`);
+        addSecret(token);
+        return { 'Authorization': `Bearer ${token}` };
+    }
+
+    if (type === 'api-key') {
+        const key = resolveEnv(auth.key || '');
+        if (!key) throw new Error(`API key auth for ${source} has no key`);
+        addSecret(key);
+        return { [auth.header || API_KEY_HEADER]: key };
+    }
+
+    const username = resolveEnv(auth.username || '');
+    const password = resolveEnv(auth.password || '');
+    const credentials = encoding.b64encode(`${username}:${password}`);
+    addSecret(password);
+    addSecret(credentials);
+    return { 'Authorization': `Basic ${credentials}` };
+}
+
+/**
+ * Build the headers of an endpoint entry (extra headers, then auth)
+ * @param {object} entry - Endpoint entry ({ auth, headers })
+ * @param {string} source - Where the entry came from, for error messages
+ * @returns {object} Headers
+ */
+function entryHeaders(entry, source) {
+    const headers = {};
+    Object.entries(entry.headers || {}).forEach(([name, value]) => {
+        headers[name] = resolveEnv(value);
+        // Values pulled from env are treated as secrets too
+        if (/\$\{\w+\}/.test(String(value))) addSecret(headers[name]);
+    });
+    return entry.auth ? { ...headers, ...authHeadersOf(entry.auth, source) } : headers;
+}
+
+/**
+ * Default credentials from RPC_BEARER_TOKEN, RPC_API_KEY or RPC_BASIC_AUTH (user:password)
+ * @returns {object|null} Auth entry, or null if none is set
+ */
+function envDefaultAuth() {
+    if (__ENV.RPC_BEARER_TOKEN) {
+        return { type: 'bearer', token: __ENV.RPC_BEARER_TOKEN };
+    }
+    if (__ENV.RPC_API_KEY) {
+        return { type: 'api-key', key: __ENV.RPC_API_KEY };
+    }
+    if (__ENV.RPC_BASIC_AUTH) {
+        const separator = __ENV.RPC_BASIC_AUTH.indexOf(':');
+        return {
+            type: 'basic',
+            username: __ENV.RPC_BASIC_AUTH.slice(0, separator < 0 ? undefined : separator),
+            password: separator < 0 ? '' : __ENV.RPC_BASIC_AUTH.slice(separator + 1)
+        };
+    }
+    return null;
+}
+
+/**
+ * Load the endpoints file or ENDPOINTS_JSON (init context only)
+ *
+ * Format: { "default": { auth, headers }, "endpoints": { "<url>": { auth, headers } } }
+ * @returns {object} { defaultHeaders, endpointHeaders } keyed by normalized URL
+ */
+function loadEndpointAuth() {
+    let config = {};
+    if (__ENV.ENDPOINTS_JSON) {
+        config = JSON.parse(__ENV.ENDPOINTS_JSON);
+    } else if (ENDPOINTS_FILE) {
+        config = JSON.parse(open(ENDPOINTS_FILE));
+    }
+
+    // Env credentials apply to endpoints without their own auth, like a file default
+    const defaultEntry = { ...(config.default || {}) };
+    const envAuth = envDefaultAuth();
+    if (envAuth && !defaultEntry.auth) {
+        defaultEntry.auth = envAuth;
+    }
+
+    const endpointHeaders = {};
+    Object.entries(config.endpoints || {}).forEach(([url, entry]) => {
+        endpointHeaders[normalizeUrl(url)] = entryHeaders({
+            auth: entry.auth || defaultEntry.auth,
+            headers: { ...(defaultEntry.headers || {}), ...(entry.headers || {}) }
+        }, url);
+    });
+
+    return { defaultHeaders: entryHeaders(defaultEntry, 'default'), endpointHeaders };
+}
+
+const { defaultHeaders, endpointHeaders } = loadEndpointAuth();
+
+/**
+ * Auth and extra headers for an endpoint
+ *
+ * WebSocket connections pass the HTTP endpoint they were derived from.
+ * @param {string} url - RPC endpoint URL
+ * @returns {object} Headers to merge into the request headers
+ */
+export function endpointHeadersFor(url) {
+    return endpointHeaders[normalizeUrl(url)] || defaultHeaders;
+}
+
+/**
+ * Replace the credentials and the path/query of every URL in a string
+ * @param {string} text - Text containing URLs
+ * @returns {string} Text with URLs reduced to scheme://host[/[REDACTED]]
+ */
+function redactUrls(text) {
+    return String(text).replace(URL_PATTERN, (_, scheme, userinfo, host, rest) =>
+        scheme + (userinfo ? `${REDACTED}@` : '') + host + (rest && rest !== '/' ? `/${REDACTED}` : ''));
+}
+
+/**
+ * Label of an endpoint for metric tags, without credentials, path or query
+ *
+ * Endpoints on the same host with different paths share a label.
+ * @param {string} url - RPC endpoint URL
+ * @returns {string} Sanitized endpoint label
+ */
+export function endpointLabel(url) {
+    if (endpointLabels[url] === undefined) {
+        endpointLabels[url] = redactUrls(url);
+    }
+    return endpointLabels[url];
+}
+
+/**
+ * Remove configured secrets, URL credentials and URL paths/queries from a log string
+ * @param {string} text - Log text (usually a JSON-encoded log entry)
+ * @returns {string} Text with secrets replaced by [REDACTED]
+ */
+export function redactSecrets(text) {
+    let redacted = redactUrls(text);
+    secrets.forEach(secret => {
+        redacted = redacted.split(secret).join(REDACTED);
+    });
+    return redacted;
+}
@@ -0,0 +1,183 @@
+/**
+ * Endpoint Selector Module
+ *
+ * Parses RPC_URLS (optionally weighted as url|weight) and picks the endpoint
+ * for each iteration with a configurable strategy. Health and latency are
+ * tracked per VU from the outcomes rpc-client.js reports; endpoints with an
+ * open circuit are skipped.
+ */
+
+import { sleep } from 'k6';
+import { configManager } from './config-loader.js';
+import { endpointEjections } from './metrics.js';
+import { endpointLabel, redactSecrets } from './endpoint-auth.js';
+import { circuitOpenRemainingMs } from './circuit-breaker.js';
+
+// Get endpoint selection settings from config
+const endpointConfig = configManager.getRpcConfig().endpoints;
+const ENDPOINT_STRATEGIES = ['vu', 'round-robin', 'weighted', 'random', 'least-latency', 'failover'];
+export const ENDPOINT_STRATEGY = (__ENV.ENDPOINT_STRATEGY || endpointConfig.strategy).trim().toLowerCase();
+const LATENCY_EXPLORATION_RATE = Number(__ENV.ENDPOINT_EXPLORATION_RATE || endpointConfig.latencyExplorationRate);
+const EJECT_AFTER_FAILURES = Number(__ENV.ENDPOINT_EJECT_FAILURES || endpointConfig.ejectAfterFailures);
+const EJECT_MS = Number(__ENV.ENDPOINT_EJECT_MS || endpointConfig.ejectMs);
+
+if (!ENDPOINT_STRATEGIES.includes(ENDPOINT_STRATEGY)) {
+    throw new Error(`Unknown ENDPOINT_STRATEGY '${ENDPOINT_STRATEGY}', expected one of: ${ENDPOINT_STRATEGIES.join(', ')}`);
+}
+
+/**
+ * Parse a comma-separated endpoint list with optional weights
+ * @param {string} raw - e.g. 'https://a|3,https://b'
+ * @returns {array} Endpoints ({ url, weight }), weight defaults to 1
+ */
+export function parseRpcUrls(raw) {
+    return (raw || '')
+        .split(',')
+        .map(s => s.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [url, weight] = entry.split('|').map(s => s.trim());
+            const parsedWeight = weight === undefined ? 1 : Number(weight);
+            if (isNaN(parsedWeight) || parsedWeight < 0) {
+                throw new Error(`Invalid weight '${weight}' for RPC URL ${url}`);
+            }
+            return { url, weight: parsedWeight };
+        });
+}
+
+export const RPC_ENDPOINTS = parseRpcUrls(__ENV.RPC_URLS);
+export const RPC_URLS = RPC_ENDPOINTS.map(e => e.url);
+
+// Per-VU selection state
+let roundRobinCounter = 0;
+const lastLatency = {};
+const health = {};
+
+/**
+ * Health record of an endpoint in this VU
+ * @param {string} url - RPC endpoint URL
+ * @returns {object} { failures, ejectedUntil }
+ */
+function healthOf(url) {
+    if (!health[url]) {
+        health[url] = { failures: 0, ejectedUntil: 0 };
+    }
+    return health[url];
+}
+
+/**
+ * Endpoints whose circuit is not open
+ *
+ * If every circuit is open, waits until the first one lets a probe through
+ * instead of failing fast in a loop.
+ * @returns {array} Endpoints ({ url, weight })
+ */
+function closedEndpoints() {
+    let closed = RPC_ENDPOINTS.filter(e => circuitOpenRemainingMs(e.url) === 0);
+    if (closed.length === 0) {
+        sleep(Math.min(...RPC_ENDPOINTS.map(e => circuitOpenRemainingMs(e.url))) / 1000);
+        closed = RPC_ENDPOINTS.filter(e => circuitOpenRemainingMs(e.url) === 0);
+    }
+    return closed.length > 0 ? closed : RPC_ENDPOINTS;
+}
+
+/**
+ * Endpoints that are neither ejected nor circuit-open, ignoring ejection if every endpoint is ejected
+ * @returns {array} Candidate endpoints ({ url, weight })
+ */
+function healthyEndpoints() {
+    const now = Date.now();
+    const closed = closedEndpoints();
+    const healthy = closed.filter(e => healthOf(e.url).ejectedUntil <= now);
+    return healthy.length > 0 ? healthy : closed;
+}
+
+/**
+ * Pick the endpoint for the next iteration of this VU
+ *
+ * 'vu' pins each VU to one endpoint, moving to another while its circuit is
+ * open; every other strategy chooses among the endpoints that are neither
+ * ejected nor circuit-open:
+ * - 'round-robin': next endpoint per iteration, offset by VU
+ * - 'weighted': random, proportional to the url|weight weights
+ * - 'random': uniform random
+ * - 'least-latency': lowest most recent latency, exploring a random endpoint at ENDPOINT_EXPLORATION_RATE
+ * - 'failover': first endpoint in RPC_URLS order
+ * @param {number} vu - VU number (__VU)
+ * @returns {string} RPC endpoint URL
+ */
+export function selectEndpoint(vu) {
+    if (ENDPOINT_STRATEGY === 'vu') {
+        const pinned = RPC_URLS[(vu - 1) % RPC_URLS.length];
+        if (circuitOpenRemainingMs(pinned) === 0) return pinned;
+
+        const closed = closedEndpoints();
+        return closed[(vu - 1) % closed.length].url;
+    }
+
+    const candidates = healthyEndpoints();
+    switch (ENDPOINT_STRATEGY) {
+        case 'round-robin':
+            return candidates[(vu - 1 + roundRobinCounter++) % candidates.length].url;
+
+        case 'weighted': {
+            const total = candidates.reduce((sum, e) => sum + e.weight, 0);
+            let pick = Math.random() * total;
+            for (const e of candidates) {
+                pick -= e.weight;
+                if (pick < 0) return e.url;
+            }
+            return candidates[candidates.length - 1].url;
+        }
+
+        case 'least-latency': {
+            // Unmeasured endpoints are tried first; exploration keeps stale latencies fresh
+            const unmeasured = candidates.find(e => lastLatency[e.url] === undefined);
+            if (unmeasured) return unmeasured.url;
+            if (Math.random() < LATENCY_EXPLORATION_RATE) {
+                return candidates[Math.floor(Math.random() * candidates.length)].url;
+            }
+            return candidates.reduce((best, e) => lastLatency[e.url] < lastLatency[best.url] ? e : best).url;
+        }
+
+        case 'failover':
+            return candidates[0].url;
+
+        default:
+            return candidates[Math.floor(Math.random() * candidates.length)].url;
+    }
+}
+
+/**
+ * Report the outcome of a request so health and latency stay current
+ *
+ * An endpoint failing ENDPOINT_EJECT_FAILURES requests in a row at the
+ * transport level (network, timeout, HTTP) is ejected from selection for
+ * ENDPOINT_EJECT_MS. Rate-limited requests are not reported.
+ * @param {string} url - RPC endpoint URL
+ * @param {boolean} ok - True if the endpoint answered with a JSON-RPC response
+ * @param {number} latencyMs - Request duration
+ */
+export function reportEndpointResult(url, ok, latencyMs) {
+    const state = healthOf(url);
+    if (ok) {
+        state.failures = 0;
+        lastLatency[url] = latencyMs;
+        return;
+    }
+
+    state.failures++;
+    if (state.failures >= EJECT_AFTER_FAILURES && state.ejectedUntil <= Date.now()) {
+        state.ejectedUntil = Date.now() + EJECT_MS;
+        state.failures = 0;
+        endpointEjections.add(1, { endpoint: endpointLabel(url), strategy: ENDPOINT_STRATEGY });
+        console.warn(redactSecrets(JSON.stringify({
+            timestamp: new Date().toISOString(),
+            level: 'WARN',
+            message: 'Endpoint ejected',
+            endpoint: url,
+            strategy: ENDPOINT_STRATEGY,
+            ejected_ms: EJECT_MS
+        })));
+    }
+}
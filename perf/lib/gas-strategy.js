@@ -0,0 +1,162 @@
+/**
+ * Gas Strategy Module
+ *
+ * Picks transaction fees with a configurable strategy and caches them per VU,
+ * so transaction builders do not fetch a price for every transaction
+ */
+
+import { jsonCall } from './rpc-client.js';
+import { configManager } from './config-loader.js';
+import { gasFeeFallbacks } from './metrics.js';
+import { endpointLabel, redactSecrets } from './endpoint-auth.js';
+
+// Get gas settings from config
+const rpcConfig = configManager.getRpcConfig();
+const blockchain = rpcConfig.blockchain;
+const gasConfig = rpcConfig.gas;
+
+const GAS_STRATEGIES = ['fixed', 'multiplier', 'feehistory', 'priorityfee'];
+export const GAS_STRATEGY = (__ENV.GAS_STRATEGY || gasConfig.strategy).trim().toLowerCase();
+const FIXED_GAS_PRICE = Number(__ENV.GAS_PRICE || gasConfig.fixedGasPrice);
+const FEE_HISTORY_BLOCKS = Number(__ENV.GAS_FEE_HISTORY_BLOCKS || gasConfig.feeHistoryBlocks);
+const FEE_HISTORY_PERCENTILE = Number(__ENV.GAS_FEE_PERCENTILE || gasConfig.feeHistoryPercentile);
+const GAS_CACHE_MS = Number(__ENV.GAS_CACHE_MS || gasConfig.cacheMs);
+
+if (!GAS_STRATEGIES.includes(GAS_STRATEGY)) {
+    throw new Error(`Unknown GAS_STRATEGY '${GAS_STRATEGY}', expected one of: ${GAS_STRATEGIES.join(', ')}`);
+}
+
+// Fees per endpoint and multiplier, refreshed after GAS_CACHE_MS
+const feeCache = {};
+
+/**
+ * Derive fees from a base fee and a priority fee
+ *
+ * The legacy gas price is (baseFee + tip) * multiplier; maxFeePerGas leaves
+ * room for the base fee to double before the transaction becomes unminable.
+ * @param {number} baseFee - Base fee of the next block in wei
+ * @param {number} tip - Priority fee in wei
+ * @param {number} multiplier - Buffer applied to the legacy gas price
+ * @returns {object} Fees ({ gasPrice, maxFeePerGas, maxPriorityFeePerGas })
+ */
+function dynamicFees(baseFee, tip, multiplier) {
+    const gasPrice = Math.floor((baseFee + tip) * multiplier);
+    return {
+        gasPrice,
+        maxFeePerGas: Math.max(gasPrice, 2 * baseFee + tip),
+        maxPriorityFeePerGas: tip
+    };
+}
+
+/**
+ * Fees of the fixed strategy
+ * @returns {object} Fees ({ gasPrice, maxFeePerGas, maxPriorityFeePerGas })
+ */
+function fixedFees() {
+    return {
+        gasPrice: FIXED_GAS_PRICE,
+        maxFeePerGas: FIXED_GAS_PRICE,
+        maxPriorityFeePerGas: Math.min(blockchain.defaultPriorityFeePerGas, FIXED_GAS_PRICE)
+    };
+}
+
+/**
+ * Query the node for fees with the configured strategy
+ * @param {string} url - RPC endpoint URL
+ * @param {number} multiplier - Buffer applied to the gas price
+ * @returns {object|null} Fees, or null if the node did not answer
+ */
+function fetchFees(url, multiplier) {
+    switch (GAS_STRATEGY) {
+        case 'fixed':
+            return fixedFees();
+
+        case 'feehistory': {
+            const history = jsonCall(url, 'eth_feeHistory',
+                ['0x' + FEE_HISTORY_BLOCKS.toString(16), 'latest', [FEE_HISTORY_PERCENTILE]],
+                { op: 'get_fee_history' });
+            if (!history || !Array.isArray(history.baseFeePerGas)) return null;
+
+            // The last entry is the base fee of the next block
+            const baseFee = Number(history.baseFeePerGas[history.baseFeePerGas.length - 1] || 0);
+            const rewards = (history.reward || []).map(r => Number(r[0])).filter(r => !isNaN(r));
+            const tip = rewards.length > 0
+                ? Math.floor(rewards.reduce((sum, r) => sum + r, 0) / rewards.length)
+                : blockchain.defaultPriorityFeePerGas;
+            return dynamicFees(baseFee, tip, multiplier);
+        }
+
+        case 'priorityfee': {
+            const tipHex = jsonCall(url, 'eth_maxPriorityFeePerGas', [], { op: 'get_priority_fee' });
+            const block = jsonCall(url, 'eth_getBlockByNumber', ['latest', false], { op: 'get_base_fee' });
+            if (!tipHex || !block) return null;
+
+            return dynamicFees(Number(block.baseFeePerGas || 0), Number(tipHex), multiplier);
+        }
+
+        default: {
+            const priceHex = jsonCall(url, 'eth_gasPrice', [], { op: 'get_gas_price' });
+            if (!priceHex) return null;
+
+            const gasPrice = Math.floor(Number(priceHex) * multiplier);
+            return {
+                gasPrice,
+                maxFeePerGas: gasPrice,
+                maxPriorityFeePerGas: Math.min(blockchain.defaultPriorityFeePerGas, gasPrice)
+            };
+        }
+    }
+}
+
+/**
+ * Get fees for a new transaction, served from the cache while it is fresh
+ *
+ * A stale cached value is reused if the node does not answer; without one the
+ * fixed strategy's fees are used and the fallback is counted, so a slow fee
+ * lookup does not abort the iteration.
+ * @param {string} url - RPC endpoint URL
+ * @param {number} multiplier - Buffer applied to the gas price (ignored by 'fixed')
+ * @returns {object} Fees ({ gasPrice, maxFeePerGas, maxPriorityFeePerGas })
+ */
+export function getGasFees(url, multiplier = blockchain.gasPriceMultiplier) {
+    const key = `${url}|${multiplier}`;
+    const cached = feeCache[key];
+    if (cached && Date.now() - cached.fetchedAt < GAS_CACHE_MS) {
+        return cached.fees;
+    }
+
+    const fees = fetchFees(url, multiplier);
+    if (!fees) {
+        if (cached) return cached.fees;
+
+        gasFeeFallbacks.add(1, { gas_strategy: GAS_STRATEGY, endpoint: endpointLabel(url) });
+        console.warn(redactSecrets(JSON.stringify({
+            timestamp: new Date().toISOString(),
+            level: 'WARN',
+            message: 'Could not determine fees, falling back to the fixed gas price',
+            gas_strategy: GAS_STRATEGY,
+            endpoint: url,
+            gas_price: FIXED_GAS_PRICE
+        })));
+        return fixedFees();
+    }
+
+    feeCache[key] = { fees, fetchedAt: Date.now() };
+    return fees;
+}
+
+/**
+ * Build metric tags describing the fee a transaction was sent with
+ * @param {object} fees - Fees used for the transaction
+ * @returns {object} Tags (gas_strategy, fee_gwei, tip_gwei)
+ */
+export function feeTags(fees) {
+    const tags = {
+        gas_strategy: GAS_STRATEGY,
+        fee_gwei: (fees.gasPrice / 1e9).toFixed(2)
+    };
+    if (fees.maxPriorityFeePerGas) {
+        tags.tip_gwei = (fees.maxPriorityFeePerGas / 1e9).toFixed(2);
+    }
+    return tags;
+}
@@ -5,6 +5,7 @@
  */
 
 import { Trend, Counter, Rate, Gauge } from 'k6/metrics';
+import { redactSecrets } from './endpoint-auth.js';
 
 // Core performance metrics
 export const rtt = new Trend('somnia_http_rtt', true);
@@ -15,12 +16,17 @@ export const wsLatency = new Trend('somnia_ws_latency', true);
 export const successCount = new Counter('somnia_success_count');
 export const errorCount = new Counter('somnia_error_count');
 export const retryCount = new Counter('somnia_retry_count');
+export const retryBudgetExhausted = new Counter('somnia_retry_budget_exhausted');
 
 // Rate metrics
 export const errorRate = new Rate('somnia_error_rate');
 export const timeoutRate = new Rate('somnia_timeout_rate');
 export const httpErrorRate = new Rate('somnia_http_error_rate');
 
+// Rate limiting (HTTP 429 or JSON-RPC limit errors), per endpoint
+export const rateLimited = new Rate('somnia_rate_limited');
+export const rateLimitedCount = new Counter('somnia_rate_limited_count');
+
 // Gauges for real-time monitoring
 export const activeConnections = new Gauge('somnia_active_ws_connections');
 export const currentBlockHeight = new Gauge('somnia_current_block_height');
@@ -31,6 +37,46 @@ export const methodLatency = new Trend('somnia_method_latency', true);
 export const methodSuccess = new Counter('somnia_method_success');
 export const methodErrors = new Counter('somnia_method_errors');
 
+// Response payload size, transfer rate and result item counts per method
+export const responseBytes = new Trend('somnia_response_bytes');
+export const responseBytesPerSec = new Trend('somnia_response_bytes_per_sec');
+export const responseItems = new Trend('somnia_response_items');
+
+// Timeout-specific metrics
+export const timeoutCount = new Counter('somnia_timeout_count');
+export const timeoutByMethod = new Counter('somnia_timeout_by_method');
+export const timeoutLatency = new Trend('somnia_timeout_latency', true);
+
+// Transaction inclusion metrics (send to receipt)
+export const txInclusionLatency = new Trend('somnia_tx_inclusion_latency', true);
+export const txIncluded = new Counter('somnia_tx_included');
+export const txDropped = new Counter('somnia_tx_dropped');
+export const txReverted = new Counter('somnia_tx_reverted');
+
+// Read-after-write verification of contract state writes
+export const readAfterWriteLatency = new Trend('somnia_read_after_write_latency', true);
+export const readAfterWriteConsistent = new Rate('somnia_read_after_write_consistent');
+
+// Nonce gap detection and stuck transaction replacement
+export const nonceGaps = new Counter('somnia_nonce_gap');
+export const txStuck = new Counter('somnia_tx_stuck');
+export const txReplaced = new Counter('somnia_tx_replaced');
+
+// Endpoints taken out of selection after repeated transport failures
+export const endpointEjections = new Counter('somnia_endpoint_ejections');
+
+// Circuit breaker state per endpoint (0 closed, 1 half-open, 2 open)
+export const endpointState = new Gauge('somnia_endpoint_state');
+
+// Iterations skipped because no exclusive wallet was left for the VU
+export const walletUnavailable = new Counter('somnia_wallet_unavailable');
+
+// Iterations skipped because every pre-signed transaction was already sent
+export const presignedExhausted = new Counter('somnia_presigned_exhausted');
+
+// Fee lookups that fell back to the fixed gas price
+export const gasFeeFallbacks = new Counter('somnia_gas_fee_fallback');
+
 /**
  * Add round-trip time metric
  * @param {number} ms - Duration in milliseconds
@@ -59,11 +105,93 @@ export function recordSuccess(tags) {
     }
 }
 
+/**
+ * Check whether an error response mentions a timeout
+ *
+ * Only non-2xx bodies and JSON-RPC error messages are searched, since a
+ * successful result (logs, calldata, contract strings) may contain the word.
+ * @param {object} response - HTTP response object
+ * @returns {boolean} True if the error text mentions a timeout
+ */
+function errorBodyMentionsTimeout(response) {
+    const body = typeof response.body === 'string' ? response.body : '';
+    const mentionsTimeout = text => text.includes('timeout') || text.includes('timed out');
+    if (!mentionsTimeout(body)) {
+        return false;
+    }
+    if (response.status < 200 || response.status >= 300) {
+        return true;
+    }
+
+    try {
+        const parsed = JSON.parse(body);
+        const items = Array.isArray(parsed) ? parsed : [parsed];
+        return items.some(item => item && item.error && typeof item.error.message === 'string' &&
+            mentionsTimeout(item.error.message));
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Classify a response as a timeout from several indicators
+ *
+ * A request counts as timed out when k6 reports a timeout error code, the
+ * gateway answers 408/504, an error response mentions a timeout, or the request took
+ * at least 95% of the configured timeout.
+ * @param {object} response - HTTP response object
+ * @param {number} requestStartTime - Request start timestamp
+ * @param {number} timeoutMs - Configured timeout in milliseconds
+ * @returns {object} { isTimeout, reasons, actualDuration, threshold, indicators }
+ */
+export function detectTimeout(response, requestStartTime, timeoutMs) {
+    const actualDuration = Date.now() - requestStartTime;
+    const timeoutThreshold = timeoutMs * 0.95;
+
+    const indicators = {
+        // k6 timeout error code
+        error_code_timeout: response.error_code === 1050,
+
+        // No HTTP status once the threshold has passed
+        status_timeout: response.status === 0 && actualDuration >= timeoutThreshold,
+
+        // Request duration exceeds threshold
+        duration_timeout: actualDuration >= timeoutThreshold,
+
+        // Timeout-related error messages
+        body_timeout: errorBodyMentionsTimeout(response),
+
+        // HTTP status codes for timeouts
+        gateway_timeout: response.status === 504,
+        request_timeout: response.status === 408,
+
+        // No response received within time limit
+        no_response: !response.status && actualDuration >= timeoutThreshold
+    };
+
+    const reasons = Object.keys(indicators).filter(key => indicators[key]);
+
+    return {
+        isTimeout: reasons.length > 0,
+        reasons,
+        actualDuration,
+        threshold: timeoutThreshold,
+        indicators
+    };
+}
+
 /**
  * Record failed operation with detailed metrics
+ *
+ * With options.response, options.requestStartTime and options.timeoutMs the
+ * response is classified with detectTimeout() and timeouts are additionally
+ * counted in somnia_timeout_count, somnia_timeout_by_method and somnia_timeout_latency.
+ * Requests short-circuited by an open circuit (options.isCircuitOpen) are
+ * counted but not logged; the breaker logs its state changes instead.
  * @param {object} tags - Base tags for metrics
  * @param {string} reason - Failure reason message
- * @param {object} options - Additional options (retry info, etc.)
+ * @param {object} options - Additional options (retryAttempt, isTimeout, isHttpError,
+ *                           isRateLimited, isCircuitOpen, response, requestStartTime, timeoutMs)
  */
 export function recordFailure(tags, reason, options = {}) {
     const enrichedTags = { 
@@ -72,6 +200,28 @@ export function recordFailure(tags, reason, options = {}) {
         retry_attempt: options.retryAttempt || 0
     };
     
+    let isTimeout = options.isTimeout || false;
+    let timeoutDetails = null;
+    
+    if (options.response && options.requestStartTime && options.timeoutMs) {
+        const detection = detectTimeout(options.response, options.requestStartTime, options.timeoutMs);
+        
+        if (detection.isTimeout) {
+            isTimeout = true;
+            timeoutDetails = detection;
+            
+            // Duration and threshold are unbounded, they go to the log and somnia_timeout_latency
+            enrichedTags.timeout_type = detection.reasons.join(',');
+            
+            timeoutCount.add(1, enrichedTags);
+            timeoutLatency.add(detection.actualDuration, enrichedTags);
+            
+            if (tags.method) {
+                timeoutByMethod.add(1, { ...enrichedTags, timeout_reasons: detection.reasons.join('|') });
+            }
+        }
+    }
+    
     errorCount.add(1, enrichedTags);
     errorRate.add(1, enrichedTags);
     
@@ -79,24 +229,77 @@ export function recordFailure(tags, reason, options = {}) {
         methodErrors.add(1, enrichedTags);
     }
     
-    if (options.isTimeout) {
+    if (isTimeout) {
         timeoutRate.add(1, enrichedTags);
+        if (timeoutDetails) {
+            reason = `TIMEOUT: ${reason} (duration: ${timeoutDetails.actualDuration}ms, threshold: ${timeoutDetails.threshold}ms, indicators: ${timeoutDetails.reasons.join(', ')})`;
+        }
     }
     
     if (options.isHttpError) {
         httpErrorRate.add(1, enrichedTags);
     }
     
+    if (options.isCircuitOpen) {
+        return;
+    }
+    
+    // Throttled and timed-out requests are logged as warnings, not node errors
+    let logType = 'ERROR';
+    if (options.isRateLimited) {
+        logType = 'RATE_LIMITED';
+    } else if (isTimeout) {
+        logType = 'TIMEOUT';
+    }
+    
     // Log with structured format for better observability
-    console.error(JSON.stringify({
+    const logEntry = {
         timestamp: new Date().toISOString(),
-        level: 'ERROR',
+        level: logType === 'ERROR' ? 'ERROR' : 'WARN',
+        type: logType,
         scenario: tags.scenario,
         method: tags.method,
         endpoint: tags.endpoint,
         reason: reason,
         tags: enrichedTags
-    }));
+    };
+    
+    if (timeoutDetails) {
+        logEntry.timeout_details = {
+            actual_duration_ms: timeoutDetails.actualDuration,
+            threshold_ms: timeoutDetails.threshold,
+            reasons: timeoutDetails.reasons,
+            indicators: timeoutDetails.indicators
+        };
+    }
+    
+    if (__ENV.K6_LOG_OUTPUT !== 'none') {
+        console.error(redactSecrets(JSON.stringify(logEntry)));
+    }
+}
+
+/**
+ * Record whether an endpoint throttled a request
+ * @param {boolean} limited - True if the response was a rate limit
+ * @param {object} tags - Metric tags
+ */
+export function recordRateLimit(limited, tags) {
+    rateLimited.add(limited, tags);
+    if (limited) {
+        rateLimitedCount.add(1, tags);
+    }
+}
+
+/**
+ * Record a timeout that has no HTTP response to classify (e.g. a WebSocket connection)
+ * @param {number} durationMs - Time until the timeout fired
+ * @param {string} timeoutType - Kind of timeout, stored in the timeout_type tag
+ * @param {object} tags - Metric tags
+ */
+export function recordTimeout(durationMs, timeoutType, tags) {
+    timeoutCount.add(1, { ...tags, timeout_type: timeoutType });
+    timeoutLatency.add(durationMs, tags);
+    timeoutRate.add(1, tags);
 }
 
 /**
@@ -114,6 +317,92 @@ export function updateStateMetrics(method, result, tags) {
     }
 }
 
+/**
+ * UTF-8 encoded length of a string
+ * @param {string} text - Text to measure
+ * @returns {number} Length in bytes
+ */
+function utf8ByteLength(text) {
+    let bytes = text.length;
+    // Bodies are mostly ASCII; only code units above 0x7f take more than one byte
+    (text.match(/[^\x00-\x7f]/g) || []).forEach(c => {
+        const code = c.charCodeAt(0);
+        // Each half of a surrogate pair adds one byte to its two units (4 bytes per pair)
+        bytes += code < 0x800 || (code >= 0xd800 && code <= 0xdfff) ? 1 : 2;
+    });
+    return bytes;
+}
+
+/**
+ * Record the body size and transfer rate of an answered HTTP response
+ *
+ * Every response with an HTTP status is recorded, including rate limits,
+ * HTTP errors and bodies that fail validation.
+ * @param {object} response - k6 HTTP response
+ * @param {object} tags - Metric tags (method, scenario, ...)
+ */
+export function recordResponseSize(response, tags) {
+    if (!response.status) return;
+
+    const bytes = utf8ByteLength(response.body || '');
+    responseBytes.add(bytes, tags);
+
+    const durationMs = response.timings && response.timings.duration;
+    if (durationMs > 0) {
+        responseBytesPerSec.add(bytes * 1000 / durationMs, tags);
+    }
+}
+
+/**
+ * Record the number of items in an array result
+ *
+ * Arrays (eth_getLogs, ...) count their entries and blocks count their
+ * transactions; other results are not recorded.
+ * @param {*} result - RPC result
+ * @param {object} tags - Metric tags (method, scenario, ...)
+ */
+export function recordResultItems(result, tags) {
+    if (Array.isArray(result)) {
+        responseItems.add(result.length, tags);
+    } else if (result && Array.isArray(result.transactions)) {
+        responseItems.add(result.transactions.length, tags);
+    }
+}
+
+/**
+ * Record the outcome of a tracked transaction
+ * @param {string} outcome - 'included', 'reverted' or 'dropped'
+ * @param {number} latencyMs - Send-to-receipt latency (ignored for dropped)
+ * @param {object} tags - Metric tags
+ */
+export function recordInclusion(outcome, latencyMs, tags) {
+    const outcomeTags = { ...tags, outcome };
+    
+    if (outcome === 'dropped') {
+        txDropped.add(1, outcomeTags);
+        return;
+    }
+    
+    txInclusionLatency.add(latencyMs, outcomeTags);
+    txIncluded.add(1, outcomeTags);
+    if (outcome === 'reverted') {
+        txReverted.add(1, outcomeTags);
+    }
+}
+
+/**
+ * Record whether an endpoint served the state written by a transaction
+ * @param {boolean} consistent - True if the written state was read back before the timeout
+ * @param {number} latencyMs - Receipt-to-read latency (ignored if inconsistent)
+ * @param {object} tags - Metric tags
+ */
+export function recordReadAfterWrite(consistent, latencyMs, tags) {
+    readAfterWriteConsistent.add(consistent, tags);
+    if (consistent) {
+        readAfterWriteLatency.add(latencyMs, tags);
+    }
+}
+
 /**
  * Metrics module exports
  */
@@ -125,19 +414,49 @@ export default {
     successCount,
     errorCount,
     retryCount,
+    retryBudgetExhausted,
     errorRate,
     timeoutRate,
     httpErrorRate,
+    rateLimited,
+    rateLimitedCount,
     activeConnections,
     currentBlockHeight,
     gasPrice,
     methodLatency,
     methodSuccess,
     methodErrors,
+    responseBytes,
+    responseBytesPerSec,
+    responseItems,
+    timeoutCount,
+    timeoutByMethod,
+    timeoutLatency,
+    txInclusionLatency,
+    txIncluded,
+    txDropped,
+    txReverted,
+    readAfterWriteLatency,
+    readAfterWriteConsistent,
+    nonceGaps,
+    txStuck,
+    txReplaced,
+    endpointEjections,
+    endpointState,
+    walletUnavailable,
+    presignedExhausted,
+    gasFeeFallbacks,
     
     // Functions
     addRTT,
     recordSuccess,
     recordFailure,
-    updateStateMetrics
+    detectTimeout,
+    recordTimeout,
+    recordRateLimit,
+    updateStateMetrics,
+    recordResponseSize,
+    recordResultItems,
+    recordInclusion,
+    recordReadAfterWrite
 };
\ No newline at end of file
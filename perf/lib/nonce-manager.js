@@ -0,0 +1,172 @@
+/**
+ * Nonce Manager Module
+ *
+ * Tracks transaction nonces locally per wallet so write scenarios
+ * do not need an eth_getTransactionCount round trip per transaction
+ */
+
+import { jsonCall } from './rpc-client.js';
+import { configManager } from './config-loader.js';
+import { nonceGaps, txStuck } from './metrics.js';
+import { endpointLabel } from './endpoint-auth.js';
+
+// Get nonce settings from config
+const nonceConfig = configManager.getRpcConfig().nonce;
+const NONCE_ERROR_PATTERNS = nonceConfig.errorPatterns.map(p => p.toLowerCase());
+const GAP_CHECK_INTERVAL_MS = Number(__ENV.NONCE_GAP_CHECK_MS || nonceConfig.gapCheckIntervalMs);
+const MAX_GAP_FILL = nonceConfig.maxGapFill;
+
+// Addresses whose nonce has been seeded from the node in this VU
+const syncedWallets = new Set();
+
+// Last gap check per address ({ checkedAt, latest, pending })
+const gapChecks = {};
+
+// Endpoint each address last reserved a nonce for, where its transactions were sent
+const sendEndpoints = {};
+
+/**
+ * Fetch the pending nonce of a wallet from the node
+ * @param {string} url - RPC endpoint URL
+ * @param {object} wallet - Wallet object with addr and nonce
+ * @returns {boolean} True if the nonce was refreshed
+ */
+export function syncNonce(url, wallet) {
+    const nonceHex = jsonCall(url, 'eth_getTransactionCount', [wallet.addr, 'pending'], {
+        op: 'sync_nonce',
+        wallet_addr: wallet.addr
+    });
+    if (!nonceHex) {
+        return false;
+    }
+
+    wallet.nonce = Number(nonceHex);
+    syncedWallets.add(wallet.addr);
+    return true;
+}
+
+/**
+ * Reserve the next nonce for a wallet, seeding it from the node on first use
+ *
+ * Wallets marked shared (used by every VU, like the base account) cannot be
+ * counted locally and fetch the pending nonce for every transaction instead.
+ * @param {string} url - RPC endpoint URL
+ * @param {object} wallet - Wallet object with addr, nonce and optional shared flag
+ * @returns {number} Nonce to use for the next transaction
+ * @throws {Error} If the pending nonce cannot be fetched
+ */
+export function nextNonce(url, wallet) {
+    if (wallet.shared || !syncedWallets.has(wallet.addr)) {
+        if (!syncNonce(url, wallet)) {
+            throw new Error(`Failed to fetch the pending nonce of ${wallet.addr}`);
+        }
+    }
+
+    const nonce = wallet.nonce;
+    wallet.nonce = nonce + 1;
+    sendEndpoints[wallet.addr] = url;
+    return nonce;
+}
+
+/**
+ * Forget a wallet's local nonce so the next nextNonce() fetches it from the node
+ *
+ * For sends that failed without a nonce error: the reserved nonce may or may
+ * not have reached the pool, and reusing or skipping it blindly could leave
+ * later transactions stuck.
+ * @param {object} wallet - Wallet object with addr
+ */
+export function resetNonce(wallet) {
+    syncedWallets.delete(wallet.addr);
+}
+
+/**
+ * Compare the node's latest and pending nonces with the local nonce
+ *
+ * Runs at most once per NONCE_GAP_CHECK_MS per wallet (0 disables it) and
+ * queries the endpoint the wallet's transactions were sent to, since another
+ * node may not have seen them yet. A pending nonce behind the local one that
+ * has not moved between two checks means some submissions never reached the
+ * pool (gap); no mined progress between two checks while transactions are
+ * pending means the lowest pending nonce is stuck.
+ * @param {string} url - RPC endpoint URL, used if the wallet has not sent yet
+ * @param {object} wallet - Wallet object with addr and nonce
+ * @returns {object|null} { reason: 'gap'|'stuck', nonces, endpoint } to replace, or null
+ */
+export function detectNonceGap(url, wallet) {
+    if (GAP_CHECK_INTERVAL_MS <= 0 || wallet.shared || !syncedWallets.has(wallet.addr)) {
+        return null;
+    }
+
+    const now = Date.now();
+    const previous = gapChecks[wallet.addr];
+    if (!previous) {
+        // Start the interval from the first transaction of the wallet
+        gapChecks[wallet.addr] = { checkedAt: now, latest: -1, pending: -1 };
+        return null;
+    }
+    if (now - previous.checkedAt < GAP_CHECK_INTERVAL_MS) {
+        return null;
+    }
+
+    const endpoint = sendEndpoints[wallet.addr] || url;
+    const tags = { op: 'nonce_gap_check', wallet_addr: wallet.addr };
+    const latestHex = jsonCall(endpoint, 'eth_getTransactionCount', [wallet.addr, 'latest'], tags);
+    const pendingHex = jsonCall(endpoint, 'eth_getTransactionCount', [wallet.addr, 'pending'], tags);
+    if (!latestHex || !pendingHex) {
+        return null;
+    }
+
+    const latest = Number(latestHex);
+    const pending = Number(pendingHex);
+    gapChecks[wallet.addr] = { checkedAt: now, latest, pending };
+
+    const metricTags = { scenario: __ENV.SCENARIO_TYPE || 'unknown', endpoint: endpointLabel(endpoint) };
+    if (pending < wallet.nonce) {
+        // A gap seen once may be propagation lag; replace only if it persists
+        if (pending !== previous.pending) {
+            return null;
+        }
+
+        nonceGaps.add(1, metricTags);
+        const nonces = [];
+        for (let n = pending; n < Math.min(wallet.nonce, pending + MAX_GAP_FILL); n++) {
+            nonces.push(n);
+        }
+        return { reason: 'gap', nonces, endpoint };
+    }
+
+    if (latest === previous.latest && pending > latest) {
+        txStuck.add(1, metricTags);
+        return { reason: 'stuck', nonces: [latest], endpoint };
+    }
+
+    return null;
+}
+
+/**
+ * Check whether an RPC error message reports a nonce mismatch
+ * @param {string} message - RPC error message
+ * @returns {boolean} True for "nonce too low/high" style errors
+ */
+export function isNonceError(message) {
+    const lower = String(message || '').toLowerCase();
+    return NONCE_ERROR_PATTERNS.some(p => lower.includes(p));
+}
+
+/**
+ * Resync a wallet's nonce if the given RPC error is a nonce mismatch
+ * @param {string} url - RPC endpoint URL
+ * @param {object} wallet - Wallet object with addr and nonce
+ * @param {object} rpcError - JSON-RPC error object
+ * @returns {boolean} True if a resync was performed
+ */
+export function handleNonceError(url, wallet, rpcError) {
+    if (!rpcError || !isNonceError(rpcError.message)) {
+        return false;
+    }
+
+    console.warn(`Nonce mismatch for ${wallet.addr} (${rpcError.message}), resyncing from node`);
+    syncedWallets.delete(wallet.addr);
+    return syncNonce(url, wallet);
+}
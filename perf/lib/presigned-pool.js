@@ -0,0 +1,136 @@
+/**
+ * Pre-signed Transaction Pool Module
+ *
+ * Signs transactions ahead of the run (see presign_transactions.js) so the
+ * send path of S11 is a single eth_sendRawTransaction per iteration
+ */
+
+import exec from 'k6/execution';
+import { SharedArray } from 'k6/data';
+import { jsonCall } from './rpc-client.js';
+import { configManager } from './config-loader.js';
+import { signTransaction, TX_TYPE } from './wallet-manager.js';
+import { shouldTrack, trackInclusion, flushInclusions } from './tx-tracker.js';
+import { getGasFees } from './gas-strategy.js';
+import { presignedExhausted } from './metrics.js';
+import { endpointLabel } from './endpoint-auth.js';
+
+// Get configuration
+const rpcConfig = configManager.getRpcConfig();
+const blockchain = rpcConfig.blockchain;
+export const PRESIGNED_TX_FILE = (__ENV.PRESIGNED_TX_FILE || '').trim();
+
+/**
+ * Load a pre-signed transaction file into a SharedArray (init context only)
+ * @param {string} path - Pre-signed transaction file path
+ * @returns {SharedArray} Raw transactions in send order
+ */
+export function loadPresignedTxs(path) {
+    return new SharedArray('presigned_txs', function() {
+        const file = JSON.parse(open(path));
+        if (!Array.isArray(file.txs) || file.txs.length === 0) {
+            throw new Error(`Pre-signed transaction file ${path} contains no transactions`);
+        }
+        return file.txs;
+    });
+}
+
+/**
+ * Sign a sequence of self-transfers per wallet with consecutive nonces
+ * @param {string} url - RPC endpoint URL
+ * @param {array} wallets - Funded wallets ({ pk, addr })
+ * @param {number} countPerWallet - Transactions to sign per wallet
+ * @param {BigInt} value - Transfer amount in wei
+ * @returns {object} { gasPrice, wallets: [{ addr, firstNonce, txs }] }
+ * @throws {Error} If a wallet's pending nonce cannot be fetched
+ */
+export function presignTransactions(url, wallets, countPerWallet, value) {
+    const fees = getGasFees(url);
+
+    const signed = wallets.map(w => {
+        const nonceHex = jsonCall(url, 'eth_getTransactionCount', [w.addr, 'pending'], {
+            op: 'presign_nonce',
+            wallet_addr: w.addr
+        });
+        // Signing from nonce 0 after a failed lookup would produce a pool of unusable transactions
+        if (typeof nonceHex !== 'string' || !/^0x[0-9a-fA-F]+$/.test(nonceHex)) {
+            throw new Error(`Failed to fetch the pending nonce of ${w.addr}, aborting pre-signing`);
+        }
+        const firstNonce = Number(nonceHex);
+
+        const txs = [];
+        for (let i = 0; i < countPerWallet; i++) {
+            txs.push(signTransaction({
+                ...fees,
+                nonce: firstNonce + i,
+                gas: blockchain.defaultGasLimit.simple,
+                to: w.addr,
+                value: value,
+                data: '0x',
+                chainId: blockchain.chainId
+            }, w.pk));
+        }
+        return { addr: w.addr, firstNonce, txs };
+    });
+
+    return { gasPrice: fees.gasPrice, wallets: signed };
+}
+
+/**
+ * Serialize pre-signed transactions into the pool file format
+ *
+ * Transactions are interleaved round by round (nonce N of every wallet before
+ * nonce N+1 of any wallet) so consecutive pops rarely hit the same sender.
+ * @param {object} presigned - presignTransactions() result
+ * @param {object} meta - Extra metadata stored alongside the transactions
+ * @returns {string} Pool file content
+ */
+export function serializePresignedTxs(presigned, meta = {}) {
+    const rounds = Math.max(0, ...presigned.wallets.map(w => w.txs.length));
+    const txs = [];
+    for (let round = 0; round < rounds; round++) {
+        presigned.wallets.forEach(w => {
+            if (round < w.txs.length) txs.push(w.txs[round]);
+        });
+    }
+
+    return JSON.stringify({
+        created_at: new Date().toISOString(),
+        ...meta,
+        tx_type: TX_TYPE,
+        gas_price: presigned.gasPrice,
+        senders: presigned.wallets.map(w => ({ addr: w.addr, first_nonce: w.firstNonce, count: w.txs.length })),
+        txs
+    }, null, 2);
+}
+
+/**
+ * Send the next pre-signed transaction of the pool
+ *
+ * The pool is indexed by the scenario-wide iteration number, so every
+ * transaction is sent exactly once no matter which VU runs the iteration.
+ * @param {string} url - RPC endpoint URL
+ * @param {SharedArray} pool - Loaded pre-signed transactions
+ * @param {object} extraTags - Additional tags for metrics
+ * @param {function} expectFn - Result validation function
+ * @returns {string|null} Transaction hash, or null if the pool is used up or the send failed
+ */
+export function sendPresignedTx(url, pool, extraTags = {}, expectFn = _ => true) {
+    const index = exec.scenario.iterationInTest;
+    if (index >= pool.length) {
+        presignedExhausted.add(1, { scenario: __ENV.SCENARIO_TYPE || 'unknown', endpoint: endpointLabel(url) });
+        return null;
+    }
+
+    const sentAt = Date.now();
+    const txHash = jsonCall(url, 'eth_sendRawTransaction', [pool[index]],
+        { presigned: 'true', ...extraTags }, expectFn);
+
+    if (txHash && shouldTrack()) {
+        trackInclusion(url, txHash, sentAt, { presigned: 'true', ...extraTags });
+    } else {
+        flushInclusions();
+    }
+
+    return txHash;
+}
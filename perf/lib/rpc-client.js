@@ -1,20 +1,262 @@
 /**
  * RPC Client Module
  * 
- * Handles JSON-RPC communication with retry logic
+ * Handles JSON-RPC communication with a configurable retry policy,
+ * timeout classification and per-endpoint circuit breaking
  */
 
 import http from 'k6/http';
 import { check, sleep } from 'k6';
 import { randomBytes } from 'k6/crypto';
-import { recordSuccess, recordFailure, addRTT, updateStateMetrics, retryCount } from './metrics.js';
+import {
+    recordSuccess,
+    recordFailure,
+    addRTT,
+    updateStateMetrics,
+    recordResponseSize,
+    recordResultItems,
+    detectTimeout,
+    recordRateLimit,
+    methodLatency,
+    retryCount,
+    retryBudgetExhausted
+} from './metrics.js';
 import { configManager } from './config-loader.js';
+import { reportEndpointResult } from './endpoint-selector.js';
+import { allowRequest, recordCircuitOutcome } from './circuit-breaker.js';
+import { endpointHeadersFor, endpointLabel } from './endpoint-auth.js';
 
 // Get performance settings from config
 const perfSettings = configManager.getPerformanceSettings();
-const MAX_RETRIES = perfSettings.maxRetries;
-const RETRY_DELAY_MS = perfSettings.retryDelayMs;
-const REQUEST_TIMEOUT = perfSettings.requestTimeout;
+const MAX_RETRIES = Number(__ENV.MAX_RETRIES || perfSettings.maxRetries);
+const RETRY_DELAY_MS = Number(__ENV.RETRY_DELAY_MS || perfSettings.retryDelayMs);
+const REQUEST_TIMEOUT = __ENV.REQUEST_TIMEOUT || perfSettings.requestTimeout;
+
+// k6 error codes for request timeouts
+const TIMEOUT_ERROR_CODES = [1050, 1051, 1052];
+
+/**
+ * Parse a k6 duration ('500ms', '15s', '1m' or a number of milliseconds)
+ * @param {string|number} timeoutValue - Timeout value
+ * @returns {number} Timeout in milliseconds
+ */
+export function parseTimeout(timeoutValue) {
+    if (typeof timeoutValue === 'number') {
+        return timeoutValue;
+    }
+    const match = String(timeoutValue).match(/^(\d+(?:\.\d+)?)(ms|s|m)?$/);
+    if (!match) {
+        throw new Error(`Invalid timeout format: ${timeoutValue}`);
+    }
+    const value = parseFloat(match[1]);
+    switch (match[2] || 'ms') {
+        case 's': return value * 1000;
+        case 'm': return value * 60 * 1000;
+        default: return value;
+    }
+}
+
+export const REQUEST_TIMEOUT_MS = parseTimeout(REQUEST_TIMEOUT);
+
+// Retry policy from config; RETRY_METHODS overrides per-method limits as method:count pairs
+const retryConfig = configManager.getRpcConfig().retry;
+const RETRY_MAX_DELAY_MS = Number(__ENV.RETRY_MAX_DELAY_MS || retryConfig.maxDelayMs);
+const RETRY_JITTER = Number(__ENV.RETRY_JITTER || retryConfig.jitter);
+const RETRY_BUDGET = Number(__ENV.RETRY_BUDGET || retryConfig.budget);
+const RETRY_BUDGET_REFILL_PER_SEC = Number(__ENV.RETRY_BUDGET_REFILL || retryConfig.budgetRefillPerSec);
+const METHOD_MAX_RETRIES = { ...retryConfig.methodMaxRetries };
+(__ENV.RETRY_METHODS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+        const [method, count] = entry.split(':');
+        METHOD_MAX_RETRIES[method.trim()] = Number(count);
+    });
+const RETRYABLE_HTTP_STATUSES = retryConfig.retryableHttpStatuses;
+const RETRYABLE_RPC_CODES = retryConfig.retryableRpcCodes;
+
+// Rate limits: HTTP statuses and JSON-RPC codes classified as throttling, not node errors
+const rateLimitConfig = configManager.getRpcConfig().rateLimit;
+const RATE_LIMIT_STATUSES = rateLimitConfig.httpStatuses;
+const RATE_LIMIT_RPC_CODES = rateLimitConfig.rpcCodes;
+const HONOR_RETRY_AFTER = (__ENV.HONOR_RETRY_AFTER || String(rateLimitConfig.honorRetryAfter)) === 'true';
+const MAX_RETRY_AFTER_MS = rateLimitConfig.maxRetryAfterMs;
+
+// Retry tokens left in this VU, refilled over time
+let retryTokens = RETRY_BUDGET;
+let retryTokensRefilledAt = Date.now();
+
+// JSON-RPC error returned by the most recent jsonCall in this VU
+let lastRpcError = null;
+
+/**
+ * Maximum retries for a method
+ * @param {string} method - RPC method name
+ * @returns {number} Retry limit (0 for non-idempotent methods such as eth_sendRawTransaction)
+ */
+export function maxRetriesFor(method) {
+    return METHOD_MAX_RETRIES[method] !== undefined ? METHOD_MAX_RETRIES[method] : MAX_RETRIES;
+}
+
+/**
+ * Check whether an HTTP status is worth retrying
+ * @param {number} status - HTTP status code
+ * @returns {boolean} True for transient statuses (retry.retryableHttpStatuses)
+ */
+export function isRetryableStatus(status) {
+    return RETRYABLE_HTTP_STATUSES.includes(status);
+}
+
+/**
+ * Check whether a JSON-RPC error is worth retrying
+ * @param {object} rpcError - JSON-RPC error object
+ * @returns {boolean} True for transient error codes (retry.retryableRpcCodes)
+ */
+export function isRetryableRpcError(rpcError) {
+    return RETRYABLE_RPC_CODES.includes(rpcError.code);
+}
+
+/**
+ * Backoff before a retry: exponential from RETRY_DELAY_MS, capped and jittered
+ *
+ * A jitter of 0.5 waits between 50% and 100% of the exponential delay, so
+ * VUs that failed together do not retry together.
+ * @param {number} retryAttempt - Attempt that just failed (0 for the first request)
+ * @returns {number} Delay in milliseconds
+ */
+export function backoffDelayMs(retryAttempt) {
+    const delay = Math.min(RETRY_MAX_DELAY_MS, RETRY_DELAY_MS * Math.pow(2, retryAttempt));
+    return delay * (1 - RETRY_JITTER * Math.random());
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {object} res - HTTP response
+ * @returns {number|null} Delay in milliseconds capped at rateLimit.maxRetryAfterMs, or null if absent
+ */
+function retryAfterMs(res) {
+    const header = res.headers && res.headers['Retry-After'];
+    if (!header) return null;
+
+    const delay = /^\d+(\.\d+)?$/.test(header.trim())
+        ? Number(header) * 1000
+        : Date.parse(header) - Date.now();
+    if (isNaN(delay)) return null;
+    return Math.min(MAX_RETRY_AFTER_MS, Math.max(0, delay));
+}
+
+/**
+ * Classify a response as a rate limit
+ *
+ * Matches rateLimit.httpStatuses, or a JSON-RPC error with one of
+ * rateLimit.rpcCodes (some providers throttle with HTTP 200).
+ * @param {object} res - HTTP response
+ * @returns {object|null} { source, status, code, retryAfterMs } or null if not throttled
+ */
+export function detectRateLimit(res) {
+    if (RATE_LIMIT_STATUSES.includes(res.status)) {
+        return { source: 'http', status: res.status, code: null, retryAfterMs: retryAfterMs(res) };
+    }
+
+    // Only parse bodies that can hold a JSON-RPC error
+    if (res.status === 200 && typeof res.body === 'string' && res.body.includes('"error"')) {
+        try {
+            const { error } = JSON.parse(res.body);
+            if (error && RATE_LIMIT_RPC_CODES.includes(error.code)) {
+                return { source: 'rpc', status: res.status, code: error.code, retryAfterMs: retryAfterMs(res) };
+            }
+        } catch (e) {
+            // Not JSON; later checks report the parse error
+        }
+    }
+    return null;
+}
+
+/**
+ * Take one token from this VU's retry budget
+ * @returns {boolean} False if the budget is used up
+ */
+function takeRetryToken() {
+    const now = Date.now();
+    retryTokens = Math.min(RETRY_BUDGET,
+        retryTokens + (now - retryTokensRefilledAt) / 1000 * RETRY_BUDGET_REFILL_PER_SEC);
+    retryTokensRefilledAt = now;
+
+    if (retryTokens < 1) {
+        return false;
+    }
+    retryTokens -= 1;
+    return true;
+}
+
+/**
+ * Apply the retry policy to a failed attempt and back off if it allows a retry
+ * @param {string} method - RPC method name
+ * @param {number} retryAttempt - Attempt that just failed
+ * @param {object} tags - Metric tags describing the failure (error_type etc.)
+ * @param {number|null} delayMs - Delay requested by the server (Retry-After) instead of the backoff
+ * @returns {boolean} True if the caller should retry
+ */
+function backoffForRetry(method, retryAttempt, tags, delayMs = null) {
+    if (retryAttempt >= maxRetriesFor(method)) {
+        return false;
+    }
+    if (!takeRetryToken()) {
+        retryBudgetExhausted.add(1, tags);
+        return false;
+    }
+
+    retryCount.add(1, tags);
+    sleep((delayMs !== null ? delayMs : backoffDelayMs(retryAttempt)) / 1000);
+    return true;
+}
+
+/**
+ * Report whether an endpoint answered to endpoint selection and its circuit breaker
+ * @param {string} url - RPC endpoint URL
+ * @param {boolean} ok - True if the endpoint answered with a JSON-RPC response
+ * @param {number} latencyMs - Request duration
+ */
+function reportOutcome(url, ok, latencyMs) {
+    reportEndpointResult(url, ok, latencyMs);
+    recordCircuitOutcome(url, ok);
+}
+
+/**
+ * Record a request the endpoint did not answer (network, timeout, HTTP, rate limit, malformed body)
+ *
+ * Counts against the endpoint's health before recording the failure. Rate
+ * limits show the endpoint is up, so throttling neither ejects the endpoint
+ * nor opens its circuit.
+ * @param {string} url - RPC endpoint URL
+ * @param {object} tags - Base tags for metrics
+ * @param {string} reason - Failure reason message
+ * @param {object} options - recordFailure() options, including requestStartTime
+ */
+function failTransport(url, tags, reason, options) {
+    if (!options.isRateLimited) {
+        reportOutcome(url, false, Date.now() - options.requestStartTime);
+    }
+    return recordFailure(tags, reason, options);
+}
+
+/**
+ * Record a request short-circuited because the endpoint's circuit is open
+ * @param {object} tags - Base tags for metrics
+ * @param {object} options - recordFailure() options
+ */
+function failCircuitOpen(tags, options) {
+    return recordFailure({ ...tags, stage: 'circuit_open' }, 'circuit_open', { ...options, isCircuitOpen: true });
+}
+
+/**
+ * Get the JSON-RPC error object of the most recent failed call
+ * @returns {object|null} Error object ({ code, message }) or null
+ */
+export function getLastRpcError() {
+    return lastRpcError;
+}
 
 /**
  * Generate JSON-RPC request payload
@@ -34,6 +276,9 @@ export function buildRpcRequest(id, method, params) {
 
 /**
  * Enhanced HTTP POST with better error handling
+ *
+ * The endpoint's auth and extra headers (see endpoint-auth.js) are added,
+ * and options.headers override both.
  * @param {string} url - Request URL
  * @param {string} body - Request body
  * @param {object} options - Request options
@@ -48,7 +293,7 @@ export function post(url, body, options = {}) {
     };
     
     return http.post(url, body, {
-        headers: { ...defaultHeaders, ...(options.headers || {}) },
+        headers: { ...defaultHeaders, ...endpointHeadersFor(url), ...(options.headers || {}) },
         timeout: options.timeout || REQUEST_TIMEOUT,
         redirects: 5,
         tags: options.tags || {}
@@ -56,7 +301,7 @@ export function post(url, body, options = {}) {
 }
 
 /**
- * HTTP GET with similar enhancements
+ * HTTP GET with similar enhancements, including endpoint auth headers
  * @param {string} url - Request URL
  * @param {object} options - Request options
  * @returns {object} HTTP response
@@ -68,75 +313,172 @@ export function get(url, options = {}) {
     };
     
     return http.get(url, {
-        headers: { ...defaultHeaders, ...(options.headers || {}) },
+        headers: { ...defaultHeaders, ...endpointHeadersFor(url), ...(options.headers || {}) },
         timeout: options.timeout || REQUEST_TIMEOUT,
         redirects: 5,
         tags: options.tags || {}
     });
 }
 
+/**
+ * Plain JSON-RPC call without retries or success/failure metrics
+ *
+ * Meant for polling, where an empty result (e.g. a pending receipt) is expected
+ * and must not be counted as a failed request.
+ * @param {string} url - RPC endpoint URL
+ * @param {string} method - RPC method name
+ * @param {array} params - RPC method parameters
+ * @param {object} tags - Tags for the underlying HTTP request
+ * @returns {object} { result, error } where error is set on transport or RPC failure
+ */
+export function rpcRequest(url, method, params, tags = {}) {
+    const reqId = String(Math.floor(Date.now() * 1000 + Math.random() * 1000));
+    
+    let res;
+    try {
+        res = post(url, buildRpcRequest(reqId, method, params), { tags: { ...tags, method } });
+    } catch (e) {
+        return { result: null, error: { message: `Network error: ${e.message}` } };
+    }
+    
+    if (res.status !== 200) {
+        return { result: null, error: { message: `HTTP status ${res.status}` } };
+    }
+    
+    try {
+        const body = res.json();
+        return {
+            result: body.result === undefined ? null : body.result,
+            error: body.error || null
+        };
+    } catch (e) {
+        return { result: null, error: { message: `JSON parse error: ${e.message}` } };
+    }
+}
+
 /**
  * Enhanced JSON-RPC call with retry logic
+ *
+ * Network errors, timeouts, retryable HTTP statuses and retryable JSON-RPC
+ * error codes are retried with backoff while the method's retry limit and
+ * the VU's retry budget allow it; everything else fails immediately.
+ * While the endpoint's circuit is open the call fails with reason
+ * circuit_open without being sent.
  * @param {string} url - RPC endpoint URL
  * @param {string} method - RPC method name
  * @param {array} params - RPC method parameters
  * @param {object} extraTags - Additional tags for metrics
  * @param {function} expectFn - Result validation function
  * @param {number} retryAttempt - Current retry attempt
- * @returns {*} RPC result or null on failure
+ * @returns {*} RPC result (or { error } for eth_estimateGas RPC errors), null on failure
  */
 export function jsonCall(url, method, params, extraTags = {}, expectFn = _ => true, retryAttempt = 0) {
     const reqId = String(Math.floor(Date.now() * 1000 + Math.random() * 1000));
     const body = buildRpcRequest(reqId, method, params);
     const startTime = Date.now();
+    lastRpcError = null;
     
     const baseTags = { 
         run_id: globalThis.RUN_ID || 'unknown', 
         scenario: __ENV.SCENARIO_TYPE || 'unknown', 
-        endpoint: url, 
+        endpoint: endpointLabel(url), 
         method,
         transport: 'http',
         retry_attempt: retryAttempt,
         ...extraTags 
     };
 
+    // Failure details shared by every stage, so slow failures are classified as timeouts
+    const failureOptions = { retryAttempt, requestStartTime: startTime, timeoutMs: REQUEST_TIMEOUT_MS };
+
+    // An open circuit fails fast instead of spending the timeout and retries on a dead endpoint
+    if (!allowRequest(url)) {
+        return failCircuitOpen(baseTags, failureOptions);
+    }
+
     let res;
     try {
         res = post(url, body, { tags: baseTags });
     } catch (e) {
-        if (retryAttempt < MAX_RETRIES) {
-            retryCount.add(1, baseTags);
-            sleep(RETRY_DELAY_MS / 1000);
+        const isTimeout = /timeout|timed out/i.test(String(e.message)) ||
+            Date.now() - startTime >= REQUEST_TIMEOUT_MS * 0.95;
+        if (backoffForRetry(method, retryAttempt, { ...baseTags, error_type: 'network', is_timeout: String(isTimeout) })) {
             return jsonCall(url, method, params, extraTags, expectFn, retryAttempt + 1);
         }
-        return recordFailure(baseTags, `Network error: ${e.message}`, { retryAttempt });
+        const errorMsg = isTimeout ? `Network timeout: ${e.message}` : `Network error: ${e.message}`;
+        return failTransport(url, baseTags, errorMsg, { ...failureOptions, isTimeout });
     }
+    recordResponseSize(res, baseTags);
+
+    // Throttling is its own failure class, retried after Retry-After when HONOR_RETRY_AFTER is set
+    const rateLimit = detectRateLimit(res);
+    recordRateLimit(Boolean(rateLimit), baseTags);
+    if (rateLimit) {
+        const limitTags = { ...baseTags, stage: 'rate_limit', status: rateLimit.status };
+        if (rateLimit.code !== null) limitTags.rpc_error_code = rateLimit.code;
+        const serverDelay = HONOR_RETRY_AFTER ? rateLimit.retryAfterMs : null;
 
-    // Handle network-level errors
-    if (res.error_code) {
+        if (backoffForRetry(method, retryAttempt, { ...limitTags, error_type: 'rate_limit' }, serverDelay)) {
+            return jsonCall(url, method, params, extraTags, expectFn, retryAttempt + 1);
+        }
+        const limitMsg = rateLimit.source === 'http'
+            ? `Rate limited: HTTP ${rateLimit.status}`
+            : `Rate limited: RPC error ${rateLimit.code}`;
+        return failTransport(url, limitTags, limitMsg, { ...failureOptions, isRateLimited: true });
+    }
+
+    // Timeouts are retried before any other check
+    const timeoutDetection = detectTimeout(res, startTime, REQUEST_TIMEOUT_MS);
+    if (timeoutDetection.isTimeout) {
+        if (backoffForRetry(method, retryAttempt, {
+            ...baseTags,
+            error_type: 'timeout',
+            timeout_reasons: timeoutDetection.reasons.join('|')
+        })) {
+            return jsonCall(url, method, params, extraTags, expectFn, retryAttempt + 1);
+        }
+        const timeoutMsg = `Request timeout detected - Duration: ${timeoutDetection.actualDuration}ms, Threshold: ${timeoutDetection.threshold}ms, Reasons: ${timeoutDetection.reasons.join(', ')}`;
+        return failTransport(url, baseTags, timeoutMsg, { ...failureOptions, isTimeout: true, response: res });
+    }
+
+    // Handle network-level errors (k6 also sets error_code for HTTP error statuses, checked below)
+    if (res.error_code && !res.status) {
         const errorMsg = `Network error code: ${res.error_code}`;
-        if (retryAttempt < MAX_RETRIES) {
-            retryCount.add(1, baseTags);
-            sleep(RETRY_DELAY_MS / 1000);
+        const isNetworkTimeout = TIMEOUT_ERROR_CODES.includes(res.error_code);
+        if (backoffForRetry(method, retryAttempt, {
+            ...baseTags,
+            error_type: 'network',
+            error_code: res.error_code,
+            is_network_timeout: String(isNetworkTimeout)
+        })) {
             return jsonCall(url, method, params, extraTags, expectFn, retryAttempt + 1);
         }
-        return recordFailure({ ...baseTags, stage: 'network', error_code: res.error_code }, errorMsg, { retryAttempt });
+        return failTransport(url, { ...baseTags, stage: 'network', error_code: res.error_code }, errorMsg, {
+            ...failureOptions,
+            isTimeout: isNetworkTimeout,
+            response: res
+        });
     }
 
     // Validate HTTP response
     const httpChecks = {
         'http_status_200': r => r.status === 200,
         'content_type_json': r => (r.headers['Content-Type'] || '').includes('application/json'),
-        'response_body_present': r => r.body && r.body.length > 0,
-        'response_time_reasonable': r => r.timings.duration < 30000
+        'response_body_present': r => r.body && r.body.length > 0
     };
     
     const httpOk = check(res, httpChecks, baseTags);
     if (!httpOk) {
-        const errorMsg = `HTTP validation failed: status=${res.status}`;
-        return recordFailure({ ...baseTags, stage: 'http', status: res.status }, errorMsg, { 
-            retryAttempt, 
-            isHttpError: true 
+        if (res.status !== 200 && isRetryableStatus(res.status) &&
+            backoffForRetry(method, retryAttempt, { ...baseTags, error_type: 'http', status: res.status })) {
+            return jsonCall(url, method, params, extraTags, expectFn, retryAttempt + 1);
+        }
+        const errorMsg = `HTTP validation failed: status=${res.status}, content-type=${res.headers['Content-Type']}, body-length=${(res.body || '').length}`;
+        return failTransport(url, { ...baseTags, stage: 'http', status: res.status }, errorMsg, { 
+            ...failureOptions, 
+            isHttpError: true,
+            isTimeout: [0, 408, 504].includes(res.status),
+            response: res
         });
     }
 
@@ -145,7 +487,10 @@ export function jsonCall(url, method, params, extraTags = {}, expectFn = _ => tr
     try {
         jsonResponse = res.json();
     } catch (e) {
-        return recordFailure({ ...baseTags, stage: 'json_parse' }, `JSON parse error: ${e.message}`, { retryAttempt });
+        return failTransport(url, { ...baseTags, stage: 'json_parse' }, `JSON parse error: ${e.message}`, {
+            ...failureOptions,
+            response: res
+        });
     }
 
     // Validate JSON-RPC structure
@@ -157,19 +502,42 @@ export function jsonCall(url, method, params, extraTags = {}, expectFn = _ => tr
     
     const structureOk = check(jsonResponse, structureChecks, baseTags);
     if (!structureOk) {
-        return recordFailure({ ...baseTags, stage: 'rpc_structure' }, 'Invalid JSON-RPC response structure', { retryAttempt });
+        return failTransport(url, { ...baseTags, stage: 'rpc_structure' }, 'Invalid JSON-RPC response structure', {
+            ...failureOptions,
+            response: res
+        });
     }
 
+    // The endpoint answered; RPC errors and unexpected results are not health failures
+    reportOutcome(url, true, Date.now() - startTime);
+
     // Handle RPC errors
     if (jsonResponse.error) {
         const rpcError = jsonResponse.error;
+        lastRpcError = rpcError;
         const errorTags = {
             ...baseTags,
             stage: 'rpc_error',
             rpc_error_code: rpcError.code,
             rpc_error_message: String(rpcError.message).slice(0, 100)
         };
-        return recordFailure(errorTags, `RPC error ${rpcError.code}: ${rpcError.message}`, { retryAttempt });
+
+        // eth_estimateGas answers reverting calls with an RPC error, which is a served request
+        if (method === 'eth_estimateGas') {
+            recordSuccess(errorTags);
+            addRTT(Date.now() - startTime, errorTags);
+            return { error: rpcError };
+        }
+
+        if (isRetryableRpcError(rpcError) &&
+            backoffForRetry(method, retryAttempt, { ...baseTags, error_type: 'rpc', rpc_error_code: rpcError.code })) {
+            return jsonCall(url, method, params, extraTags, expectFn, retryAttempt + 1);
+        }
+
+        return recordFailure(errorTags, `RPC error ${rpcError.code}: ${rpcError.message}`, {
+            ...failureOptions,
+            response: res
+        });
     }
 
     // Validate result
@@ -180,7 +548,10 @@ export function jsonCall(url, method, params, extraTags = {}, expectFn = _ => tr
     
     const resultOk = check(jsonResponse, resultChecks, baseTags);
     if (!resultOk) {
-        return recordFailure({ ...baseTags, stage: 'result_validation' }, 'Result validation failed', { retryAttempt });
+        return recordFailure({ ...baseTags, stage: 'result_validation' }, 'Result validation failed', {
+            ...failureOptions,
+            response: res
+        });
     }
 
     // Record successful metrics
@@ -190,6 +561,141 @@ export function jsonCall(url, method, params, extraTags = {}, expectFn = _ => tr
     
     // Update blockchain state metrics
     updateStateMetrics(method, jsonResponse.result, baseTags);
+    recordResultItems(jsonResponse.result, baseTags);
     
     return jsonResponse.result;
+}
+
+/**
+ * JSON-RPC batch call with per-item validation and metrics
+ *
+ * Items may mix methods. Responses are matched to items by id, in whatever
+ * order the server returns them, and every item records its own success or
+ * failure under its method (tagged batched). The HTTP round trip is recorded
+ * once for the batch and as each item's method latency. Batches are not
+ * retried, since items may not be idempotent.
+ * @param {string} url - RPC endpoint URL
+ * @param {array} calls - Items ({ method, params, expectFn, tags }), expectFn and tags optional
+ * @param {object} tags - Additional tags for the batch and all of its items
+ * @returns {array|null} Results in call order (null for failed items), or null if the batch failed
+ */
+export function jsonBatchCall(url, calls, tags = {}) {
+    const reqBase = String(Math.floor(Date.now() * 1000 + Math.random() * 1000));
+    const ids = calls.map((_, i) => `${reqBase}-${i}`);
+    const body = JSON.stringify(calls.map((call, i) => ({
+        jsonrpc: '2.0',
+        id: ids[i],
+        method: call.method,
+        params: call.params || []
+    })));
+    const startTime = Date.now();
+
+    const batchTags = {
+        run_id: globalThis.RUN_ID || 'unknown',
+        scenario: __ENV.SCENARIO_TYPE || 'unknown',
+        endpoint: endpointLabel(url),
+        method: 'batch',
+        transport: 'http',
+        batch_size: String(calls.length),
+        ...tags
+    };
+    const failureOptions = { requestStartTime: startTime, timeoutMs: REQUEST_TIMEOUT_MS };
+
+    if (!allowRequest(url)) {
+        return failCircuitOpen(batchTags, failureOptions);
+    }
+
+    let res;
+    try {
+        res = post(url, body, { tags: batchTags });
+    } catch (e) {
+        return failTransport(url, batchTags, `Network error: ${e.message}`, failureOptions);
+    }
+    const duration = Date.now() - startTime;
+    recordResponseSize(res, batchTags);
+
+    const rateLimit = detectRateLimit(res);
+    recordRateLimit(Boolean(rateLimit), batchTags);
+    if (rateLimit) {
+        return failTransport(url, { ...batchTags, stage: 'rate_limit', status: rateLimit.status },
+            `Rate limited: ${rateLimit.source === 'http' ? `HTTP ${rateLimit.status}` : `RPC error ${rateLimit.code}`}`,
+            { ...failureOptions, isRateLimited: true });
+    }
+
+    if (res.status !== 200) {
+        return failTransport(url, { ...batchTags, stage: 'http', status: res.status },
+            `Batch call HTTP error: ${res.status}`, { ...failureOptions, isHttpError: true, response: res });
+    }
+
+    let batchResponse;
+    try {
+        batchResponse = res.json();
+    } catch (e) {
+        return failTransport(url, { ...batchTags, stage: 'json_parse' },
+            `Batch response parse error: ${e.message}`, { ...failureOptions, response: res });
+    }
+
+    // Servers without batch support answer with a single error object
+    if (!Array.isArray(batchResponse)) {
+        const reason = batchResponse && batchResponse.error
+            ? `Batch rejected: RPC error ${batchResponse.error.code}: ${batchResponse.error.message}`
+            : 'Batch response is not an array';
+        return failTransport(url, { ...batchTags, stage: 'batch_validation' }, reason, { ...failureOptions, response: res });
+    }
+
+    reportOutcome(url, true, duration);
+    addRTT(duration, batchTags);
+
+    const responsesById = {};
+    batchResponse.forEach(item => {
+        if (item && item.id !== undefined) responsesById[item.id] = item;
+    });
+
+    return calls.map((call, i) => {
+        const itemTags = {
+            ...batchTags,
+            method: call.method,
+            batched: 'true',
+            ...(call.tags || {})
+        };
+        const item = responsesById[ids[i]];
+
+        if (!item) {
+            recordFailure({ ...itemTags, stage: 'batch_missing' }, 'No response for batch item', { ...failureOptions });
+            return null;
+        }
+
+        if (item.error) {
+            const errorTags = {
+                ...itemTags,
+                stage: 'rpc_error',
+                rpc_error_code: item.error.code,
+                rpc_error_message: String(item.error.message).slice(0, 100)
+            };
+            // Same as jsonCall: a reverting estimate is a served request
+            if (call.method === 'eth_estimateGas') {
+                recordSuccess(errorTags);
+                methodLatency.add(duration, errorTags);
+                return { error: item.error };
+            }
+            recordFailure(errorTags, `RPC error ${item.error.code}: ${item.error.message}`, { ...failureOptions });
+            return null;
+        }
+
+        const expectFn = call.expectFn || (_ => true);
+        const resultOk = check(item, {
+            'result_present': v => v.hasOwnProperty('result') && v.result !== null,
+            'result_expectation_met': v => expectFn(v.result)
+        }, itemTags);
+        if (!resultOk) {
+            recordFailure({ ...itemTags, stage: 'result_validation' }, 'Result validation failed', { ...failureOptions });
+            return null;
+        }
+
+        recordSuccess(itemTags);
+        methodLatency.add(duration, itemTags);
+        updateStateMetrics(call.method, item.result, itemTags);
+        recordResultItems(item.result, itemTags);
+        return item.result;
+    });
 }
\ No newline at end of file
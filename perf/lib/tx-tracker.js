@@ -0,0 +1,263 @@
+/**
+ * Transaction Tracker Module
+ *
+ * Optional send-to-receipt tracking for write scenarios, either by polling
+ * eth_getTransactionReceipt or by matching hashes against a newHeads stream,
+ * and read-after-write verification of contract state writes
+ */
+
+import ws from 'k6/ws';
+import { sleep } from 'k6';
+import { randomBytes } from 'k6/crypto';
+import { rpcRequest, buildRpcRequest } from './rpc-client.js';
+import { recordInclusion, recordReadAfterWrite } from './metrics.js';
+import { configManager } from './config-loader.js';
+import { endpointHeadersFor, endpointLabel } from './endpoint-auth.js';
+
+// Get inclusion tracking settings from config
+const inclusionConfig = configManager.getRpcConfig().inclusion;
+const TRACKING_MODES = ['off', 'receipt', 'newheads'];
+export const INCLUSION_MODE = (__ENV.TRACK_INCLUSION || inclusionConfig.mode).trim().toLowerCase();
+const POLL_INTERVAL_MS = Number(__ENV.INCLUSION_POLL_MS || inclusionConfig.pollIntervalMs);
+const INCLUSION_TIMEOUT_MS = Number(__ENV.INCLUSION_TIMEOUT_MS || inclusionConfig.timeoutMs);
+const SAMPLE_RATE = Number(__ENV.INCLUSION_SAMPLE_RATE || inclusionConfig.sampleRate);
+const NEWHEADS_BATCH = Math.max(1, Number(__ENV.INCLUSION_BATCH || inclusionConfig.newHeadsBatch));
+const NEWHEADS_MAX_WAIT_MS = Number(__ENV.INCLUSION_BATCH_WAIT_MS || inclusionConfig.newHeadsMaxWaitMs);
+
+// Transactions queued for a newHeads watch per endpoint in this VU ({ txHash, sentAt, tags })
+const pendingHeads = {};
+
+if (!TRACKING_MODES.includes(INCLUSION_MODE)) {
+    throw new Error(`Unknown TRACK_INCLUSION '${INCLUSION_MODE}', expected one of: ${TRACKING_MODES.join(', ')}`);
+}
+
+// Get read-after-write settings from config
+const readAfterWriteConfig = configManager.getRpcConfig().readAfterWrite;
+export const VERIFY_WRITES = (__ENV.VERIFY_WRITES || String(readAfterWriteConfig.enabled)) === 'true';
+const VERIFY_POLL_MS = Number(__ENV.VERIFY_POLL_MS || readAfterWriteConfig.pollIntervalMs);
+const VERIFY_TIMEOUT_MS = Number(__ENV.VERIFY_TIMEOUT_MS || readAfterWriteConfig.timeoutMs);
+
+/**
+ * Check whether the next sent transaction should be tracked
+ * @returns {boolean} True if tracking is enabled and the sample hits
+ */
+export function shouldTrack() {
+    return INCLUSION_MODE !== 'off' && Math.random() < SAMPLE_RATE;
+}
+
+/**
+ * Classify a receipt into an inclusion outcome
+ * @param {object} receipt - Transaction receipt
+ * @returns {string} 'included' or 'reverted'
+ */
+function receiptOutcome(receipt) {
+    return receipt.status === '0x0' ? 'reverted' : 'included';
+}
+
+/**
+ * Poll eth_getTransactionReceipt until the transaction is mined or the timeout expires
+ *
+ * Blocks the calling VU for up to INCLUSION_TIMEOUT_MS, so tracked sends
+ * lower the VU's send rate; keep INCLUSION_SAMPLE_RATE small.
+ * @param {string} url - RPC endpoint URL
+ * @param {string} txHash - Transaction hash
+ * @param {number} sentAt - Timestamp taken right before eth_sendRawTransaction
+ * @param {object} tags - Metric tags
+ * @returns {object|null} Receipt or null if dropped
+ */
+export function pollReceipt(url, txHash, sentAt, tags) {
+    const deadline = sentAt + INCLUSION_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+        const { result } = rpcRequest(url, 'eth_getTransactionReceipt', [txHash], { op: 'inclusion_poll' });
+        if (result) {
+            recordInclusion(receiptOutcome(result), Date.now() - sentAt, tags);
+            return result;
+        }
+        sleep(POLL_INTERVAL_MS / 1000);
+    }
+
+    recordInclusion('dropped', 0, tags);
+    return null;
+}
+
+/**
+ * Resolve a batch of transactions against blocks announced over one newHeads subscription
+ *
+ * Transactions already mined when the batch is watched are resolved from
+ * their receipts (tagged observed_by receipt, latency up to now); the rest
+ * are matched against announced blocks (observed_by newheads) until all are
+ * seen or the inclusion timeout of the newest one expires.
+ * @param {string} url - RPC endpoint URL the transactions were sent to
+ * @param {array} entries - Tracked transactions ({ txHash, sentAt, tags })
+ */
+export function watchNewHeads(url, entries) {
+    const remaining = new Map(entries.map(e => [e.txHash.toLowerCase(), e]));
+    const resolve = (entry, receipt, observedBy) => {
+        remaining.delete(entry.txHash.toLowerCase());
+        recordInclusion(receipt ? receiptOutcome(receipt) : 'included', Date.now() - entry.sentAt,
+            { ...entry.tags, observed_by: observedBy });
+    };
+    const fetchReceipt = txHash =>
+        rpcRequest(url, 'eth_getTransactionReceipt', [txHash], { op: 'inclusion_receipt' }).result;
+
+    entries.forEach(e => {
+        const receipt = fetchReceipt(e.txHash);
+        if (receipt) resolve(e, receipt, 'receipt');
+    });
+
+    if (remaining.size > 0) {
+        const deadline = Math.max(...entries.map(e => e.sentAt)) + INCLUSION_TIMEOUT_MS;
+
+        ws.connect(url.replace(/^http/, 'ws'), {
+            headers: {
+                'User-Agent': `k6-somnia-test/${__ENV.TEST_VERSION || '1.0.0'}`,
+                'X-Connection-ID': randomBytes(4).toString('hex'),
+                ...endpointHeadersFor(url)
+            }
+        }, function(socket) {
+            socket.on('open', function() {
+                socket.send(buildRpcRequest(1, 'eth_subscribe', ['newHeads']));
+            });
+
+            socket.on('message', function(message) {
+                const msg = JSON.parse(message);
+                if (msg.method !== 'eth_subscription' || !msg.params || !msg.params.result) {
+                    return;
+                }
+
+                const { result: block } = rpcRequest(url, 'eth_getBlockByHash',
+                    [msg.params.result.hash, false], { op: 'inclusion_block' });
+                ((block && block.transactions) || []).forEach(h => {
+                    const entry = remaining.get(h.toLowerCase());
+                    if (entry) resolve(entry, fetchReceipt(entry.txHash), 'newheads');
+                });
+                if (remaining.size === 0) {
+                    socket.close();
+                }
+            });
+
+            socket.setTimeout(function() {
+                socket.close();
+            }, Math.max(0, deadline - Date.now()));
+        });
+    }
+
+    // Blocks sealed while the subscription was being established are caught by a last receipt check
+    Array.from(remaining.values()).forEach(e => {
+        const receipt = fetchReceipt(e.txHash);
+        if (receipt) {
+            resolve(e, receipt, 'receipt');
+        } else {
+            recordInclusion('dropped', 0, { ...e.tags, observed_by: 'newheads' });
+        }
+    });
+}
+
+/**
+ * Watch queued newHeads transactions whose queue is full or has waited too long
+ *
+ * Called after every send, tracked or not, so a queue is watched once its
+ * oldest transaction has waited INCLUSION_BATCH_WAIT_MS even when few sends
+ * are sampled. Transactions still queued when the VU stops are not recorded.
+ */
+export function flushInclusions() {
+    Object.keys(pendingHeads).forEach(url => {
+        const queue = pendingHeads[url];
+        if (queue.length === 0) return;
+        if (queue.length >= NEWHEADS_BATCH || Date.now() - queue[0].sentAt >= NEWHEADS_MAX_WAIT_MS) {
+            pendingHeads[url] = [];
+            watchNewHeads(url, queue);
+        }
+    });
+}
+
+/**
+ * Track a sent transaction until inclusion using the configured mode
+ *
+ * In newheads mode the transaction is queued per VU and endpoint and watched
+ * by flushInclusions() over a single subscription per queue, instead of
+ * connecting per transaction. Both modes block the VU while watching.
+ * @param {string} url - RPC endpoint URL
+ * @param {string} txHash - Transaction hash
+ * @param {number} sentAt - Timestamp taken right before eth_sendRawTransaction
+ * @param {object} extraTags - Additional tags for metrics
+ * @returns {object|null} Receipt in receipt mode, null if dropped or queued for newHeads
+ */
+export function trackInclusion(url, txHash, sentAt, extraTags = {}) {
+    const tags = {
+        run_id: globalThis.RUN_ID || 'unknown',
+        scenario: __ENV.SCENARIO_TYPE || 'unknown',
+        endpoint: endpointLabel(url),
+        tracking: INCLUSION_MODE,
+        ...extraTags
+    };
+
+    if (INCLUSION_MODE !== 'newheads') {
+        return pollReceipt(url, txHash, sentAt, tags);
+    }
+
+    if (!pendingHeads[url]) pendingHeads[url] = [];
+    pendingHeads[url].push({ txHash, sentAt, tags });
+    flushInclusions();
+    return null;
+}
+
+/**
+ * Verify that every endpoint serves the state written by a mined transaction
+ *
+ * Waits for the receipt on the sending endpoint, then polls the read call on
+ * each endpoint at the transaction's block until it returns the state that
+ * block holds on the sending endpoint. Concurrent writers share the storage
+ * slot, so the value at that block may come from another transaction.
+ * @param {string} sendUrl - RPC endpoint the transaction was sent to
+ * @param {array} urls - RPC endpoints to read the state back from
+ * @param {string} txHash - Transaction hash
+ * @param {object} call - eth_call object reading the written state
+ * @param {string} written - 32-byte hex value written by the transaction
+ * @param {object} extraTags - Additional tags for metrics
+ * @returns {boolean} True if every endpoint served the state before the timeout
+ */
+export function verifyReadAfterWrite(sendUrl, urls, txHash, call, written, extraTags = {}) {
+    const tags = {
+        run_id: globalThis.RUN_ID || 'unknown',
+        scenario: __ENV.SCENARIO_TYPE || 'unknown',
+        ...extraTags
+    };
+    const deadline = Date.now() + VERIFY_TIMEOUT_MS;
+
+    let receipt = null;
+    while (Date.now() < deadline) {
+        receipt = rpcRequest(sendUrl, 'eth_getTransactionReceipt', [txHash], { op: 'verify_receipt' }).result;
+        if (receipt) break;
+        sleep(VERIFY_POLL_MS / 1000);
+    }
+
+    // Nothing to read back if the write never landed
+    if (!receipt || receipt.status !== '0x1') {
+        recordReadAfterWrite(false, 0, { ...tags, endpoint: endpointLabel(sendUrl), stage: receipt ? 'reverted' : 'receipt' });
+        return false;
+    }
+
+    const minedAt = Date.now();
+    const { result: reference } = rpcRequest(sendUrl, 'eth_call', [call, receipt.blockNumber], { op: 'verify_reference' });
+    const expected = (reference || written).toLowerCase();
+    const overwritten = expected !== written.toLowerCase();
+
+    // Poll all endpoints in rounds so a slow endpoint does not delay the others' latency
+    let pending = urls.slice();
+    while (pending.length > 0 && Date.now() < minedAt + VERIFY_TIMEOUT_MS) {
+        pending = pending.filter(url => {
+            const { result } = rpcRequest(url, 'eth_call', [call, receipt.blockNumber], { op: 'verify_read' });
+            if (typeof result !== 'string' || result.toLowerCase() !== expected) {
+                return true;
+            }
+            recordReadAfterWrite(true, Date.now() - minedAt, { ...tags, endpoint: endpointLabel(url), overwritten: String(overwritten) });
+            return false;
+        });
+        if (pending.length > 0) sleep(VERIFY_POLL_MS / 1000);
+    }
+
+    pending.forEach(url => recordReadAfterWrite(false, 0, { ...tags, endpoint: endpointLabel(url), stage: 'read' }));
+    return pending.length === 0;
+}
@@ -4,24 +4,93 @@
  * Handles wallet generation and transaction building
  */
 
+import exec from 'k6/execution';
 import ethgo from 'k6/x/ethgo';
 import wallet from 'k6/x/ethgo/wallet';
-import { jsonCall } from './rpc-client.js';
+import { jsonCall, rpcRequest, getLastRpcError } from './rpc-client.js';
 import { configManager } from './config-loader.js';
+import { nextNonce, handleNonceError, detectNonceGap } from './nonce-manager.js';
+import { shouldTrack, trackInclusion, flushInclusions } from './tx-tracker.js';
+import { getGasFees, feeTags } from './gas-strategy.js';
+import { txReplaced } from './metrics.js';
+import { endpointLabel } from './endpoint-auth.js';
 
 // Get configuration
 const rpcConfig = configManager.getRpcConfig();
 const blockchain = rpcConfig.blockchain;
 const contracts = rpcConfig.contracts;
+const envConfig = configManager.getEnvironment();
+
+// Funding confirmation deadline and poll interval in seconds
+const FUNDING_CONFIRM_TIMEOUT = Number(__ENV.FUNDING_CONFIRM_TIMEOUT || envConfig.delays.fundingConfirmTimeout);
+const FUNDING_POLL_INTERVAL = envConfig.delays.fundingPollInterval;
+
+// Price bump for replacement transactions (nodes usually require at least +10%)
+const REPLACEMENT_PRICE_BUMP = Number(__ENV.NONCE_REPLACEMENT_BUMP || rpcConfig.nonce.replacementPriceBump);
+
+// Transaction envelope used by every transaction builder
+const TX_TYPES = ['legacy', 'eip1559', 'eip2930'];
+export const TX_TYPE = (__ENV.TX_TYPE || blockchain.txType).trim().toLowerCase();
+if (!TX_TYPES.includes(TX_TYPE)) {
+    throw new Error(`Unknown TX_TYPE '${TX_TYPE}', expected one of: ${TX_TYPES.join(', ')}`);
+}
+
+// Fees of the last transaction built in this VU, reported by sendRawTx
+let lastTxFees = null;
+
+// Deterministic wallet derivation (WALLET_MNEMONIC takes precedence over WALLET_SEED)
+const WALLET_MNEMONIC = (__ENV.WALLET_MNEMONIC || '').trim();
+const WALLET_SEED = (__ENV.WALLET_SEED || '').trim();
+const WALLET_HD_PATH = (__ENV.WALLET_HD_PATH || rpcConfig.wallets.hdPath).trim();
+const WALLET_INDEX_OFFSET = Number(__ENV.WALLET_INDEX_OFFSET || rpcConfig.wallets.indexOffset);
+
+// Wallet assignment: 'shared' maps VUs onto wallets round-robin, 'exclusive'
+// leases each wallet to a single VU so it never has two transactions in flight
+const WALLET_ASSIGNMENTS = ['shared', 'exclusive'];
+export const WALLET_ASSIGNMENT = (__ENV.WALLET_ASSIGNMENT || rpcConfig.wallets.assignment).trim().toLowerCase();
+const WALLET_AUTO_SIZE = (__ENV.WALLET_AUTO_SIZE || String(rpcConfig.wallets.autoSize)) === 'true';
+if (!WALLET_ASSIGNMENTS.includes(WALLET_ASSIGNMENT)) {
+    throw new Error(`Unknown WALLET_ASSIGNMENT '${WALLET_ASSIGNMENT}', expected one of: ${WALLET_ASSIGNMENTS.join(', ')}`);
+}
+
+// Tokens airdropped to each test wallet for S12 (1/tokens.erc20AirdropDivisor of a token)
+export const ERC20_AIRDROP_AMOUNT = (BigInt(10) ** BigInt(rpcConfig.tokens.defaultDecimals)) /
+    BigInt(rpcConfig.tokens.erc20AirdropDivisor);
+
+/**
+ * Get the wallet derivation mode selected by the environment
+ * @returns {string} 'mnemonic', 'seed' or 'random'
+ */
+export function walletDerivationMode() {
+    if (WALLET_MNEMONIC) return 'mnemonic';
+    if (WALLET_SEED) return 'seed';
+    return 'random';
+}
 
 /**
  * Generate test wallets
+ *
+ * With WALLET_MNEMONIC or WALLET_SEED set, wallet N is derived at
+ * WALLET_HD_PATH/(WALLET_INDEX_OFFSET + N) so re-runs reuse the same addresses;
+ * otherwise fresh random keys are generated.
  * @param {number} count - Number of wallets to generate
  * @returns {array} Array of wallet objects
  */
 export function generateWallets(count) {
+    const mode = walletDerivationMode();
     return Array.from({ length: count }, (_, index) => {
-        const acc = wallet.generateKey();
+        const hdIndex = WALLET_INDEX_OFFSET + index;
+        let acc;
+        switch (mode) {
+            case 'mnemonic':
+                acc = wallet.deriveKeyFromMnemonic(WALLET_MNEMONIC, WALLET_HD_PATH, hdIndex);
+                break;
+            case 'seed':
+                acc = wallet.deriveKeyFromSeed(WALLET_SEED, WALLET_HD_PATH, hdIndex);
+                break;
+            default:
+                acc = wallet.generateKey();
+        }
         return { 
             pk: acc.private_key, 
             addr: acc.address,
@@ -31,28 +100,121 @@ export function generateWallets(count) {
     });
 }
 
+/**
+ * Fail if exclusive leasing would leave VUs of the load profile without a wallet
+ *
+ * Those VUs would skip every iteration, so the generated load would fall far
+ * below the profile while only somnia_wallet_unavailable shows it.
+ * @param {number} count - Available wallet count
+ * @param {number} maxVUs - Maximum VUs of the load profile
+ * @param {boolean} exclusive - Whether wallets are leased exclusively
+ * @throws {Error} If exclusive and count < maxVUs
+ */
+export function requireWalletPerVU(count, maxVUs, exclusive) {
+    if (exclusive && count < maxVUs) {
+        throw new Error(`Load profile runs up to ${maxVUs} VUs but only ${count} wallets are available; ` +
+            `exclusive wallet assignment needs one wallet per VU (raise WALLET_COUNT, set WALLET_AUTO_SIZE=true ` +
+            `or use WALLET_ASSIGNMENT=shared)`);
+    }
+}
+
+/**
+ * Check the wallet count against the VUs the load profile can run
+ *
+ * With exclusive assignment every VU needs its own wallet; the count is raised
+ * to maxVUs when WALLET_AUTO_SIZE=true, otherwise setup fails.
+ * @param {number} requested - Requested wallet count (WALLET_COUNT)
+ * @param {number} maxVUs - Maximum VUs of the load profile
+ * @param {boolean} exclusive - Whether wallets are leased exclusively
+ * @returns {number} Wallet count to generate
+ */
+export function resolveWalletCount(requested, maxVUs, exclusive) {
+    if (exclusive && maxVUs > requested && WALLET_AUTO_SIZE) {
+        console.log(`Load profile runs up to ${maxVUs} VUs, raising WALLET_COUNT from ${requested} to ${maxVUs}`);
+        return maxVUs;
+    }
+
+    requireWalletPerVU(requested, maxVUs, exclusive);
+    return requested;
+}
+
+/**
+ * Pick the wallet for the current VU
+ *
+ * Exclusive leases partition wallets by exec.vu.idInTest, so a VU beyond the
+ * pool size gets no wallet instead of sharing one with another VU.
+ * @param {array} wallets - Wallets from setup data
+ * @param {boolean} exclusive - Whether wallets are leased exclusively
+ * @returns {object|null} Wallet object, or null if none is free for this VU
+ */
+export function leaseWallet(wallets, exclusive) {
+    const vuIndex = exec.vu.idInTest - 1;
+    if (!exclusive) {
+        return wallets[vuIndex % wallets.length];
+    }
+    return vuIndex < wallets.length ? wallets[vuIndex] : null;
+}
+
+/**
+ * Sign transaction params with the envelope selected by TX_TYPE
+ *
+ * For eip1559 the gasPrice is used as maxFeePerGas unless maxFeePerGas is given;
+ * the priority fee defaults to blockchain.defaultPriorityFeePerGas, capped at the max fee.
+ * @param {object} txParams - Transaction params (nonce, gasPrice, gas, to, value, data, chainId, accessList)
+ * @param {string} privKey - Signer private key (hex, no 0x prefix)
+ * @param {string} txType - Envelope override (legacy, eip1559, eip2930)
+ * @returns {string} Signed raw transaction
+ */
+export function signTransaction(txParams, privKey, txType = TX_TYPE) {
+    switch (txType) {
+        case 'eip1559': {
+            const { gasPrice, ...rest } = txParams;
+            const maxFeePerGas = txParams.maxFeePerGas || gasPrice;
+            const maxPriorityFeePerGas = Math.min(
+                txParams.maxPriorityFeePerGas || blockchain.defaultPriorityFeePerGas,
+                maxFeePerGas
+            );
+            return ethgo.signDynamicFeeTx({
+                ...rest,
+                maxFeePerGas,
+                maxPriorityFeePerGas,
+                accessList: txParams.accessList || []
+            }, privKey);
+        }
+        case 'eip2930':
+            return ethgo.signAccessListTx({
+                ...txParams,
+                accessList: txParams.accessList || []
+            }, privKey);
+        default:
+            return ethgo.signLegacyTx(txParams, privKey);
+    }
+}
+
 /**
  * Build and sign a raw transaction
  * @param {string} url - RPC endpoint URL
  * @param {object} wallet - Wallet object with pk and addr
- * @param {string} to - Recipient address
+ * @param {string|null} to - Recipient address, or null to create a contract from data
  * @param {number|BigInt} value - Transaction value in wei
- * @param {string} data - Transaction data
- * @param {object} options - Additional options
+ * @param {string} data - Transaction data (init code for contract creation)
+ * @param {object} options - Additional options (nonce, gasPrice, maxFeePerGas,
+ *                           maxPriorityFeePerGas, gasLimit, accessList, txType overrides)
  * @returns {string} Signed raw transaction
  */
 export function buildRawTx(url, wallet, to, value, data, options = {}) {
     const chainId = blockchain.chainId;
     
-    // Get current nonce for the wallet
-    const nonce = Number(jsonCall(url, 'eth_getTransactionCount', [wallet.addr, 'pending'], {
-        op: 'get_nonce',
-        wallet_addr: wallet.addr
-    }));
+    // Repair nonce gaps before reserving the next locally tracked nonce
+    let nonce = options.nonce;
+    if (nonce === undefined) {
+        repairNonceGaps(url, wallet);
+        nonce = nextNonce(url, wallet);
+    }
     
-    // Get current gas price with buffer
-    const currentGasPrice = Number(jsonCall(url, 'eth_gasPrice', [], { op: 'get_gas_price' }));
-    const gasPrice = options.gasPrice || Math.floor(currentGasPrice * blockchain.gasPriceMultiplier);
+    // Fees from the gas strategy (cached), unless the caller fixes the gas price
+    const fees = options.gasPrice ? { gasPrice: options.gasPrice } : getGasFees(url);
+    lastTxFees = fees;
     
     // Estimate gas limit based on transaction type
     let gasLimit;
@@ -69,22 +231,111 @@ export function buildRawTx(url, wallet, to, value, data, options = {}) {
     // Build and sign transaction
     const txParams = {
         nonce: nonce,
-        gasPrice: gasPrice,
+        gasPrice: fees.gasPrice,
         gas: gasLimit,
-        to: to,
         value: value,
         data: data || '0x',
         chainId: chainId
     };
+    // Without a recipient the signer builds a CREATE transaction
+    if (to) txParams.to = to;
+    const maxFeePerGas = options.maxFeePerGas || fees.maxFeePerGas;
+    const maxPriorityFeePerGas = options.maxPriorityFeePerGas || fees.maxPriorityFeePerGas;
+    if (maxFeePerGas) txParams.maxFeePerGas = maxFeePerGas;
+    if (maxPriorityFeePerGas) txParams.maxPriorityFeePerGas = maxPriorityFeePerGas;
+    if (options.accessList) txParams.accessList = options.accessList;
     
     try {
-        return ethgo.signLegacyTx(txParams, wallet.pk);
+        return signTransaction(txParams, wallet.pk, options.txType);
     } catch (e) {
         console.error(`Failed to sign transaction for wallet ${wallet.addr}: ${e.message}`);
         throw e;
     }
 }
 
+/**
+ * Fill nonce gaps and replace stuck transactions of a wallet
+ *
+ * Each affected nonce gets a zero-value self-transfer priced at the current
+ * fee times NONCE_REPLACEMENT_BUMP, so it also outbids a stuck transaction.
+ * Replacements go to the endpoint the gap was detected on.
+ * @param {string} url - RPC endpoint URL
+ * @param {object} wallet - Wallet object with pk, addr and nonce
+ * @returns {number} Number of accepted replacement transactions
+ */
+export function repairNonceGaps(url, wallet) {
+    const gap = detectNonceGap(url, wallet);
+    if (!gap) {
+        return 0;
+    }
+
+    const fees = getGasFees(gap.endpoint);
+    const bumped = {
+        gasPrice: Math.ceil(fees.gasPrice * REPLACEMENT_PRICE_BUMP),
+        maxFeePerGas: Math.ceil((fees.maxFeePerGas || fees.gasPrice) * REPLACEMENT_PRICE_BUMP),
+        maxPriorityFeePerGas: Math.ceil((fees.maxPriorityFeePerGas || blockchain.defaultPriorityFeePerGas) * REPLACEMENT_PRICE_BUMP)
+    };
+    console.warn(`Nonce ${gap.reason} for ${wallet.addr} at nonces ${gap.nonces.join(', ')}, sending replacements`);
+
+    let replaced = 0;
+    gap.nonces.forEach(nonce => {
+        const raw = signTransaction({
+            ...bumped,
+            nonce: nonce,
+            gas: blockchain.defaultGasLimit.simple,
+            to: wallet.addr,
+            value: 0,
+            data: '0x',
+            chainId: blockchain.chainId
+        }, wallet.pk);
+
+        const txHash = jsonCall(gap.endpoint, 'eth_sendRawTransaction', [raw], {
+            op: 'nonce_replacement',
+            reason: gap.reason,
+            wallet_addr: wallet.addr,
+            ...feeTags(bumped)
+        });
+        if (txHash) {
+            replaced++;
+        }
+    });
+
+    txReplaced.add(replaced, { scenario: __ENV.SCENARIO_TYPE || 'unknown', endpoint: endpointLabel(gap.endpoint), reason: gap.reason });
+    return replaced;
+}
+
+/**
+ * Send a signed transaction and resync the sender's nonce on nonce errors
+ *
+ * The send is tagged with the fees of the transaction last built by buildRawTx.
+ * When inclusion tracking is enabled (TRACK_INCLUSION), sampled transactions
+ * are followed until a receipt is observed or the inclusion timeout expires.
+ * @param {string} url - RPC endpoint URL
+ * @param {object} wallet - Sending wallet object
+ * @param {string} raw - Signed raw transaction
+ * @param {object} extraTags - Additional tags for metrics
+ * @param {function} expectFn - Result validation function
+ * @returns {string|undefined} Transaction hash or undefined on failure
+ */
+export function sendRawTx(url, wallet, raw, extraTags = {}, expectFn = _ => true) {
+    const txFeeTags = lastTxFees ? feeTags(lastTxFees) : {};
+    const sentAt = Date.now();
+    const txHash = jsonCall(url, 'eth_sendRawTransaction', [raw],
+        { tx_envelope: TX_TYPE, ...txFeeTags, ...extraTags }, expectFn);
+    if (!txHash) {
+        handleNonceError(url, wallet, getLastRpcError());
+        flushInclusions();
+        return txHash;
+    }
+    
+    if (shouldTrack()) {
+        trackInclusion(url, txHash, sentAt, { tx_type: extraTags.tx_type, tx_envelope: TX_TYPE, ...txFeeTags });
+    } else {
+        flushInclusions();
+    }
+    return txHash;
+}
+
 /**
  * Build ERC20 transfer data
  * @param {string} recipient - Recipient address
@@ -99,107 +350,271 @@ export function buildERC20TransferData(recipient, amount) {
 }
 
 /**
- * Fund wallets with ETH
+ * Build ERC20 balanceOf call data
+ * @param {string} owner - Token holder address
+ * @returns {string} Encoded balanceOf data
+ */
+export function buildERC20BalanceOfData(owner) {
+    return contracts.erc20BalanceOfSig + owner.replace(/^0x/, '').padStart(64, '0');
+}
+
+/**
+ * Load the funder accounts from the environment
+ *
+ * PRIVATE_KEYS (comma-separated) takes precedence over the single
+ * PRIVATE_KEY / WALLET_ADDRESS pair.
+ * @returns {array} Array of funder objects ({ pk, addr })
+ */
+export function loadFunders() {
+    const keys = (__ENV.PRIVATE_KEYS || '')
+        .split(',')
+        .map(s => s.trim().replace(/^0x/, ''))
+        .filter(Boolean);
+
+    if (keys.length > 0) {
+        return keys.map(pk => ({ pk: pk, addr: ethgo.privateKeyToAddress(pk).toLowerCase() }));
+    }
+
+    const pk = (__ENV.PRIVATE_KEY || '').replace(/^0x/, '');
+    const addr = (__ENV.WALLET_ADDRESS || '').toLowerCase();
+    return pk && addr ? [{ pk: pk, addr: addr }] : [];
+}
+
+/**
+ * Split wallets across funders round-robin, keeping an earlier assignment
+ * @param {array} wallets - Array of wallets
+ * @param {array} funders - Array of funder objects
+ * @returns {object} Map of funder address to its wallets
+ */
+function groupByFunder(wallets, funders) {
+    const groups = {};
+    funders.forEach(f => { groups[f.addr] = []; });
+
+    wallets.forEach((w, i) => {
+        if (!w.funder || !groups[w.funder]) {
+            w.funder = funders[i % funders.length].addr;
+        }
+        groups[w.funder].push(w);
+    });
+    return groups;
+}
+
+/**
+ * Fetch the pending nonce of a funder from the node
  * @param {string} fundUrl - RPC endpoint for funding
- * @param {array} wallets - Array of wallets to fund
- * @param {string} basePrivKey - Base wallet private key
- * @param {string} baseAddr - Base wallet address
+ * @param {string} addr - Funder address
+ * @returns {number|null} Pending nonce, or null if the call failed
+ */
+function funderPendingNonce(fundUrl, addr) {
+    const nonceHex = jsonCall(fundUrl, 'eth_getTransactionCount', [addr, 'pending'], { op: 'get_nonce' });
+    return nonceHex ? Number(nonceHex) : null;
+}
+
+/**
+ * Fetch the pending nonce of every funder
+ * @param {string} fundUrl - RPC endpoint for funding
+ * @param {array} funders - Array of funder objects ({ pk, addr })
+ * @returns {object} Map of funder address to next nonce
+ * @throws {Error} If a nonce cannot be fetched
+ */
+function fetchFunderNonces(fundUrl, funders) {
+    const nonces = {};
+    funders.forEach(f => {
+        nonces[f.addr] = funderPendingNonce(fundUrl, f.addr);
+        if (nonces[f.addr] === null) {
+            throw new Error(`Failed to fetch the pending nonce of funder ${f.addr}`);
+        }
+    });
+    return nonces;
+}
+
+/**
+ * Send one transaction per wallet from its funder, interleaving the funders' nonce streams
+ *
+ * A funder's nonce only advances when a send is accepted. After a failed send
+ * it is resynced from the node, since a timed-out send may still have reached
+ * the pool and a skipped nonce would leave every later transaction queued.
+ * @param {string} fundUrl - RPC endpoint for funding
+ * @param {array} wallets - Array of wallets (funder already assigned)
+ * @param {object} funderByAddr - Map of funder address to funder object
+ * @param {object} nonces - Map of funder address to next nonce (advanced in place)
+ * @param {function} buildTx - Builds { tx, tags } for a wallet
+ * @param {function} onHash - Called with (wallet, txHash) for accepted transactions
  * @param {function} sleepFn - Sleep function
  */
-export function fundWallets(fundUrl, wallets, basePrivKey, baseAddr, sleepFn) {
+function sendFromFunders(fundUrl, wallets, funderByAddr, nonces, buildTx, onHash, sleepFn) {
     const batchSize = rpcConfig.performance.batchSize;
-    const fundingAmount = BigInt(rpcConfig.tokens.defaultFundingAmount);
-    
-    let baseNonce = Number(jsonCall(fundUrl, 'eth_getTransactionCount', [baseAddr, 'pending'], { op: 'get_nonce' }));
-    const currentGasPrice = Number(jsonCall(fundUrl, 'eth_gasPrice', [], { op: 'get_gas_price' }));
-    const gasPrice = Math.floor(currentGasPrice * blockchain.gasPriceMultiplier);
-    
-    console.log(`Funding ${wallets.length} wallets with ${fundingAmount} wei each`);
-    console.log(`Base nonce: ${baseNonce}, Gas price: ${gasPrice}`);
-    
+
     for (let i = 0; i < wallets.length; i += batchSize) {
         const batch = wallets.slice(i, i + batchSize);
-        
-        batch.forEach((w, batchIndex) => {
-            const nonce = baseNonce + i + batchIndex;
-            const raw = ethgo.signLegacyTx({
-                nonce: nonce,
-                gasPrice: gasPrice,
-                gas: blockchain.defaultGasLimit.simple,
-                to: w.addr,
-                value: fundingAmount,
-                data: '0x',
-                chainId: blockchain.chainId
-            }, basePrivKey);
-            
-            const txHash = jsonCall(fundUrl, 'eth_sendRawTransaction', [raw], { 
-                op: 'fund_wallet',
+
+        batch.forEach(w => {
+            const nonce = nonces[w.funder];
+            const { tx, tags } = buildTx(w);
+            const raw = signTransaction({ ...tx, nonce: nonce }, funderByAddr[w.funder].pk);
+
+            const txHash = jsonCall(fundUrl, 'eth_sendRawTransaction', [raw], {
+                ...tags,
+                ...feeTags(tx),
                 wallet_index: w.index,
-                nonce: nonce
+                funder: w.funder
             });
-            
+
             if (txHash) {
-                w.fundingTx = txHash;
+                nonces[w.funder] = nonce + 1;
+                onHash(w, txHash);
+            } else {
+                const pending = funderPendingNonce(fundUrl, w.funder);
+                if (pending !== null) nonces[w.funder] = pending;
+                console.warn(`Send from funder ${w.funder} at nonce ${nonce} failed, next nonce ${nonces[w.funder]}`);
             }
         });
-        
+
         if (i + batchSize < wallets.length) {
             sleepFn(0.1);
         }
     }
-    
-    return baseNonce + wallets.length;
 }
 
 /**
- * Distribute ERC20 tokens to wallets
+ * Fund wallets with ETH
+ *
+ * Wallets are split across the funders round-robin (w.funder records the
+ * funder address) and each funder uses its own nonce sequence.
+ * @param {string} fundUrl - RPC endpoint for funding
+ * @param {array} wallets - Array of wallets to fund
+ * @param {array} funders - Array of funder objects ({ pk, addr })
+ * @param {function} sleepFn - Sleep function
+ * @param {object} options - Additional options (amountFor: wallet => BigInt amount override)
+ * @returns {object} Map of funder address to its next unused nonce
+ */
+export function fundWallets(fundUrl, wallets, funders, sleepFn, options = {}) {
+    const fundingAmount = BigInt(rpcConfig.tokens.defaultFundingAmount);
+    const amountFor = options.amountFor || (_ => fundingAmount);
+
+    const nonces = fetchFunderNonces(fundUrl, funders);
+    const funderByAddr = {};
+    funders.forEach(f => { funderByAddr[f.addr] = f; });
+    const fees = getGasFees(fundUrl);
+
+    const groups = groupByFunder(wallets, funders);
+    console.log(`Funding ${wallets.length} wallets with ${fundingAmount} wei each from ${funders.length} funder(s)`);
+    funders.forEach(f => console.log(`Funder ${f.addr}: ${groups[f.addr].length} wallets, base nonce ${nonces[f.addr]}, gas price ${fees.gasPrice}`));
+
+    sendFromFunders(fundUrl, wallets, funderByAddr, nonces, w => ({
+        tx: {
+            ...fees,
+            gas: blockchain.defaultGasLimit.simple,
+            to: w.addr,
+            value: amountFor(w),
+            data: '0x',
+            chainId: blockchain.chainId
+        },
+        tags: { op: 'fund_wallet' }
+    }), (w, txHash) => { w.fundingTx = txHash; }, sleepFn);
+
+    return nonces;
+}
+
+/**
+ * Distribute ERC20 tokens to wallets from the funder each wallet was assigned
  * @param {string} fundUrl - RPC endpoint
- * @param {array} wallets - Array of wallets
- * @param {string} basePrivKey - Base wallet private key
+ * @param {array} wallets - Array of wallets (funded by fundWallets)
+ * @param {array} funders - Array of funder objects ({ pk, addr })
  * @param {string} erc20Addr - ERC20 contract address
- * @param {number} baseNonce - Starting nonce
+ * @param {object|null} nonces - Map of funder address to next nonce, as returned by fundWallets
+ *                               (null fetches the pending nonces)
  * @param {function} sleepFn - Sleep function
  */
-export function distributeERC20Tokens(fundUrl, wallets, basePrivKey, erc20Addr, baseNonce, sleepFn) {
-    const batchSize = rpcConfig.performance.batchSize;
-    const tokenDecimals = rpcConfig.tokens.defaultDecimals;
-    const tokenAmount = (BigInt(10) ** BigInt(tokenDecimals)) / BigInt(rpcConfig.tokens.erc20AirdropDivisor);
-    
-    const currentGasPrice = Number(jsonCall(fundUrl, 'eth_gasPrice', [], { op: 'get_gas_price' }));
-    const gasPrice = Math.floor(currentGasPrice * blockchain.gasPriceMultiplier);
-    
+export function distributeERC20Tokens(fundUrl, wallets, funders, erc20Addr, nonces, sleepFn) {
+    const tokenAmount = ERC20_AIRDROP_AMOUNT;
+    if (!nonces) {
+        nonces = fetchFunderNonces(fundUrl, funders);
+    }
+
+    const funderByAddr = {};
+    funders.forEach(f => { funderByAddr[f.addr] = f; });
+    groupByFunder(wallets, funders);
+
+    const fees = getGasFees(fundUrl);
+
     console.log(`Distributing ${tokenAmount} tokens to ${wallets.length} wallets`);
+
+    sendFromFunders(fundUrl, wallets, funderByAddr, nonces, w => ({
+        tx: {
+            ...fees,
+            gas: blockchain.defaultGasLimit.erc20,
+            to: erc20Addr,
+            value: 0,
+            data: buildERC20TransferData(w.addr, tokenAmount),
+            chainId: blockchain.chainId
+        },
+        tags: { op: 'token_airdrop', amount: tokenAmount.toString() }
+    }), (w, txHash) => { w.tokenAirdropTx = txHash; }, sleepFn);
+}
+
+/**
+ * Wait until funding transactions are mined and balances are visible
+ *
+ * Every wallet needs a successful receipt for fundingTx (unless requireNative is
+ * false) plus a non-zero native balance, and for tokenAirdropTx when requireToken
+ * is set, before the deadline.
+ * @param {string} url - RPC endpoint URL
+ * @param {array} wallets - Wallets carrying fundingTx / tokenAirdropTx hashes
+ * @param {function} sleepFn - Sleep function
+ * @param {object} options - Additional options (requireNative, requireToken, timeoutSec)
+ * @returns {object} { funded: wallets, failed: [{ wallet, reason }] }
+ */
+export function confirmFunding(url, wallets, sleepFn, options = {}) {
+    const timeoutSec = options.timeoutSec || FUNDING_CONFIRM_TIMEOUT;
+    const failed = new Map();
+    const fail = (w, reason) => {
+        if (!failed.has(w.addr)) failed.set(w.addr, { wallet: w, reason });
+    };
     
-    for (let i = 0; i < wallets.length; i += batchSize) {
-        const batch = wallets.slice(i, i + batchSize);
+    let pending = [];
+    wallets.forEach(w => {
+        const txs = options.requireNative === false ? [] : [['native', w.fundingTx]];
+        if (options.requireToken) txs.push(['token', w.tokenAirdropTx]);
         
-        batch.forEach((w, batchIndex) => {
-            const nonce = baseNonce + i + batchIndex;
-            const data = buildERC20TransferData(w.addr, tokenAmount);
-            
-            const raw = ethgo.signLegacyTx({
-                nonce: nonce,
-                gasPrice: gasPrice,
-                gas: blockchain.defaultGasLimit.erc20,
-                to: erc20Addr,
-                value: 0,
-                data: data,
-                chainId: blockchain.chainId
-            }, basePrivKey);
-            
-            const txHash = jsonCall(fundUrl, 'eth_sendRawTransaction', [raw], { 
-                op: 'token_airdrop',
-                wallet_index: w.index,
-                amount: tokenAmount.toString()
-            });
+        txs.forEach(([kind, hash]) => {
+            if (hash) {
+                pending.push({ wallet: w, kind, hash });
+            } else {
+                fail(w, `${kind} funding transaction was not sent`);
+            }
+        });
+    });
+    
+    console.log(`Confirming ${pending.length} funding transactions (deadline ${timeoutSec}s)`);
+    const deadline = Date.now() + timeoutSec * 1000;
+    
+    while (pending.length > 0 && Date.now() < deadline) {
+        pending = pending.filter(c => {
+            if (failed.has(c.wallet.addr)) return false;
             
-            if (txHash) {
-                w.tokenAirdropTx = txHash;
+            const { result: receipt } = rpcRequest(url, 'eth_getTransactionReceipt', [c.hash], { op: 'confirm_funding' });
+            if (!receipt) return true;
+            if (receipt.status !== '0x1') {
+                fail(c.wallet, `${c.kind} funding transaction ${c.hash} reverted`);
+                return false;
+            }
+            if (c.kind === 'native') {
+                const { result: balanceHex } = rpcRequest(url, 'eth_getBalance', [c.wallet.addr, 'latest'], { op: 'confirm_balance' });
+                return !balanceHex || BigInt(balanceHex) === BigInt(0);
             }
+            return false;
         });
         
-        if (i + batchSize < wallets.length) {
-            sleepFn(0.1);
+        if (pending.length > 0) {
+            sleepFn(FUNDING_POLL_INTERVAL);
         }
     }
-}
\ No newline at end of file
+    
+    pending.forEach(c => fail(c.wallet, `${c.kind} funding transaction ${c.hash} not confirmed within ${timeoutSec}s`));
+    
+    return {
+        funded: wallets.filter(w => !failed.has(w.addr)),
+        failed: Array.from(failed.values())
+    };
+}
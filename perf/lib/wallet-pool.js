@@ -0,0 +1,133 @@
+/**
+ * Wallet Pool Module
+ *
+ * Persists pre-funded test wallets to a JSON file so write scenarios
+ * can reuse them across runs instead of funding and refunding every time
+ */
+
+import { SharedArray } from 'k6/data';
+import { jsonCall } from './rpc-client.js';
+import { configManager } from './config-loader.js';
+import {
+    fundWallets,
+    distributeERC20Tokens,
+    buildERC20BalanceOfData,
+    ERC20_AIRDROP_AMOUNT
+} from './wallet-manager.js';
+
+// Get wallet pool settings from config
+const poolConfig = configManager.getRpcConfig().walletPool;
+export const WALLET_POOL_FILE = (__ENV.WALLET_POOL_FILE || '').trim();
+const MIN_BALANCE = BigInt(__ENV.WALLET_POOL_MIN_BALANCE || poolConfig.minBalance);
+const TARGET_BALANCE = BigInt(__ENV.WALLET_POOL_TARGET_BALANCE || poolConfig.targetBalance);
+
+/**
+ * Load a wallet pool file into a SharedArray (init context only)
+ * @param {string} path - Pool file path
+ * @returns {SharedArray} Pool wallets ({ pk, addr, index })
+ */
+export function loadWalletPool(path) {
+    return new SharedArray('wallet_pool', function() {
+        const pool = JSON.parse(open(path));
+        if (!Array.isArray(pool.wallets) || pool.wallets.length === 0) {
+            throw new Error(`Wallet pool file ${path} contains no wallets`);
+        }
+        return pool.wallets;
+    });
+}
+
+/**
+ * Copy pool wallets into mutable wallet objects for setup data
+ * @param {SharedArray} pool - Loaded wallet pool
+ * @param {number} count - Number of wallets to take (0 takes all)
+ * @returns {array} Array of wallet objects
+ */
+export function walletsFromPool(pool, count) {
+    const size = count > 0 ? Math.min(count, pool.length) : pool.length;
+    if (count > pool.length) {
+        console.warn(`Wallet pool has ${pool.length} wallets, fewer than the requested ${count}`);
+    }
+
+    const wallets = [];
+    for (let i = 0; i < size; i++) {
+        const w = pool[i];
+        wallets.push({ pk: w.pk, addr: w.addr, index: i, nonce: 0, funder: w.funder });
+    }
+    return wallets;
+}
+
+/**
+ * Serialize wallets into the pool file format
+ * @param {array} wallets - Array of wallet objects
+ * @param {object} meta - Extra metadata stored alongside the wallets
+ * @returns {string} Pool file content
+ */
+export function serializeWalletPool(wallets, meta = {}) {
+    return JSON.stringify({
+        created_at: new Date().toISOString(),
+        ...meta,
+        wallets: wallets.map(w => ({ pk: w.pk, addr: w.addr, index: w.index, funder: w.funder }))
+    }, null, 2);
+}
+
+/**
+ * Top up pool wallets whose balance dropped below the minimum
+ * @param {string} fundUrl - RPC endpoint for funding
+ * @param {array} wallets - Array of wallets
+ * @param {array} funders - Array of funder objects ({ pk, addr })
+ * @param {function} sleepFn - Sleep function
+ * @returns {array} Wallets that were topped up
+ */
+export function topUpWallets(fundUrl, wallets, funders, sleepFn) {
+    const needy = wallets.filter(w => {
+        const balanceHex = jsonCall(fundUrl, 'eth_getBalance', [w.addr, 'latest'], {
+            op: 'pool_balance_check',
+            wallet_addr: w.addr
+        });
+        if (!balanceHex) return false;
+
+        w.balance = BigInt(balanceHex);
+        return w.balance < MIN_BALANCE;
+    });
+
+    console.log(`Wallet pool: ${needy.length}/${wallets.length} wallets below ${MIN_BALANCE} wei`);
+    if (needy.length > 0) {
+        fundWallets(fundUrl, needy, funders, sleepFn, {
+            amountFor: w => TARGET_BALANCE - w.balance
+        });
+    }
+
+    wallets.forEach(w => delete w.balance);
+    return needy;
+}
+
+/**
+ * Airdrop ERC20 tokens to pool wallets holding less than one airdrop
+ *
+ * S12 in wallets mode sends from the pool wallets' own token balances, which
+ * pools prepared without ERC20_TOKEN never received.
+ * @param {string} fundUrl - RPC endpoint for funding
+ * @param {array} wallets - Array of wallets
+ * @param {array} funders - Array of funder objects ({ pk, addr })
+ * @param {string} erc20Addr - ERC20 contract address
+ * @param {function} sleepFn - Sleep function
+ * @returns {array} Wallets that were sent tokens
+ */
+export function topUpTokens(fundUrl, wallets, funders, erc20Addr, sleepFn) {
+    const needy = wallets.filter(w => {
+        const balanceHex = jsonCall(fundUrl, 'eth_call',
+            [{ to: erc20Addr, data: buildERC20BalanceOfData(w.addr) }, 'latest'], {
+                op: 'pool_token_balance_check',
+                wallet_addr: w.addr
+            });
+        if (!balanceHex) return false;
+
+        return balanceHex === '0x' || BigInt(balanceHex) < ERC20_AIRDROP_AMOUNT;
+    });
+
+    console.log(`Wallet pool: ${needy.length}/${wallets.length} wallets below ${ERC20_AIRDROP_AMOUNT} tokens`);
+    if (needy.length > 0) {
+        distributeERC20Tokens(fundUrl, needy, funders, erc20Addr, null, sleepFn);
+    }
+    return needy;
+}
@@ -11,11 +11,13 @@ import {
     recordSuccess, 
     recordFailure, 
     addRTT, 
+    recordTimeout,
     activeConnections,
     retryCount 
 } from './metrics.js';
 import { buildRpcRequest } from './rpc-client.js';
 import { configManager } from './config-loader.js';
+import { endpointHeadersFor, endpointLabel, redactSecrets } from './endpoint-auth.js';
 
 // Get performance settings
 const perfSettings = configManager.getPerformanceSettings();
@@ -44,7 +46,7 @@ export function wsSub(wsUrl, rpcUrl, method, params, options = {}) {
         const baseTags = {
             run_id: globalThis.RUN_ID || 'unknown',
             scenario: __ENV.SCENARIO_TYPE || 'unknown',
-            endpoint: rpcUrl,
+            endpoint: endpointLabel(rpcUrl),
             method: method,
             transport: 'websocket',
             connection_id: connectionId,
@@ -54,7 +56,8 @@ export function wsSub(wsUrl, rpcUrl, method, params, options = {}) {
         ws.connect(wsUrl, {
             headers: {
                 'User-Agent': `k6-somnia-test/${__ENV.TEST_VERSION || '1.0.0'}`,
-                'X-Connection-ID': connectionId
+                'X-Connection-ID': connectionId,
+                ...endpointHeadersFor(rpcUrl)
             }
         }, function(socket) {
             activeConnections.add(1, baseTags);
@@ -63,6 +66,7 @@ export function wsSub(wsUrl, rpcUrl, method, params, options = {}) {
             // Set connection timeout
             socket.setTimeout(() => {
                 if (isConnected) {
+                    recordTimeout(Date.now() - startTime, 'websocket_connection', baseTags);
                     socket.close(1000, 'Timeout reached');
                 }
             }, timeout);
@@ -139,7 +143,7 @@ export function wsSub(wsUrl, rpcUrl, method, params, options = {}) {
                 activeConnections.add(-1, baseTags);
                 
                 const errorMessage = error.message || 'Unknown WebSocket error';
-                console.error(`WebSocket error: ${connectionId}, error: ${errorMessage}`);
+                console.error(redactSecrets(`WebSocket error: ${connectionId}, error: ${errorMessage}`));
                 
                 recordFailure({ ...baseTags, stage: 'websocket_error' }, 
                     `WebSocket error: ${errorMessage}`, { retryAttempt });
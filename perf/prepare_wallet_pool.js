@@ -0,0 +1,116 @@
+/**
+ * Wallet Pool Preparation Script
+ *
+ * Generates WALLET_COUNT test wallets, funds them once from PRIVATE_KEYS
+ * or PRIVATE_KEY (plus an ERC20 airdrop when ERC20_TOKEN is set) and writes them to
+ * WALLET_POOL_FILE so later S11/S12 runs can reuse the pool
+ *
+ * Usage: WALLET_POOL_FILE=./wallet-pool.json k6 run prepare_wallet_pool.js
+ */
+
+import { sleep } from 'k6';
+
+import { configManager } from './lib/config-loader.js';
+import { RPC_URLS } from './lib/endpoint-selector.js';
+import {
+    generateWallets,
+    walletDerivationMode,
+    fundWallets,
+    distributeERC20Tokens,
+    confirmFunding,
+    loadFunders
+} from './lib/wallet-manager.js';
+import { WALLET_POOL_FILE, serializeWalletPool } from './lib/wallet-pool.js';
+
+// Load configuration
+configManager.loadAll();
+const rpcConfig = configManager.getRpcConfig();
+const envConfig = configManager.getEnvironment();
+
+if (RPC_URLS.length === 0) {
+    throw new Error('At least one RPC_URL must be provided in RPC_URLS environment variable');
+}
+
+if (!WALLET_POOL_FILE) {
+    throw new Error('WALLET_POOL_FILE is required to prepare a wallet pool');
+}
+
+const FUNDERS = loadFunders();
+if (FUNDERS.length === 0) {
+    throw new Error('PRIVATE_KEYS, or PRIVATE_KEY and WALLET_ADDRESS, are required to prepare a wallet pool');
+}
+
+const ERC20_ADDR = (__ENV.ERC20_TOKEN || '').toLowerCase();
+const WALLET_CNT = Number(__ENV.WALLET_COUNT || rpcConfig.performance.walletCount);
+
+export const options = {
+    setupTimeout: envConfig.timeouts.setup,
+    scenarios: {
+        prepare: {
+            executor: 'shared-iterations',
+            vus: 1,
+            iterations: 1,
+            exec: 'prepare'
+        }
+    }
+};
+
+/**
+ * Generate and fund the pool wallets
+ */
+export function setup() {
+    const wallets = generateWallets(WALLET_CNT);
+    console.log(`Generated ${wallets.length} pool wallets (derivation: ${walletDerivationMode()})`);
+
+    const fundUrl = RPC_URLS[0];
+    const funderNonces = fundWallets(fundUrl, wallets, FUNDERS, sleep);
+
+    if (ERC20_ADDR) {
+        distributeERC20Tokens(fundUrl, wallets, FUNDERS, ERC20_ADDR, funderNonces, sleep);
+    }
+
+    // Only confirmed wallets go into the pool, the rest are kept under "failed" so their funds can be swept
+    const result = confirmFunding(fundUrl, wallets, sleep, { requireToken: Boolean(ERC20_ADDR) });
+    result.failed.forEach(f => console.warn(`Wallet ${f.wallet.index} (${f.wallet.addr}) left out of the pool: ${f.reason}`));
+
+    const failed = result.failed.map(f => ({
+        pk: f.wallet.pk,
+        addr: f.wallet.addr,
+        index: f.wallet.index,
+        funder: f.wallet.funder,
+        reason: f.reason
+    }));
+    return { wallets: result.funded, failed };
+}
+
+/**
+ * No load is generated while preparing the pool
+ */
+export function prepare() {}
+
+/**
+ * Write the funded wallets, and the ones that failed confirmation, to the pool file
+ */
+export function handleSummary(data) {
+    const wallets = (data.setup_data && data.setup_data.wallets) || [];
+    const failed = (data.setup_data && data.setup_data.failed) || [];
+    const summary = JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'INFO',
+        message: 'Wallet pool prepared',
+        pool_file: WALLET_POOL_FILE,
+        wallet_count: wallets.length,
+        failed: failed.length,
+        erc20_token: ERC20_ADDR || null
+    }) + '\n';
+
+    return {
+        stdout: summary,
+        [WALLET_POOL_FILE]: serializeWalletPool(wallets, {
+            chain_id: rpcConfig.blockchain.chainId,
+            funders: FUNDERS.map(f => f.addr),
+            erc20_token: ERC20_ADDR || null,
+            failed
+        })
+    };
+}
@@ -0,0 +1,86 @@
+/**
+ * Transaction Pre-signing Script
+ *
+ * Signs PRESIGN_TX_COUNT self-transfers per wallet of WALLET_POOL_FILE with
+ * consecutive nonces and writes them to PRESIGNED_TX_FILE, so S11 runs can
+ * send without signing or fee lookups in the iteration
+ *
+ * Usage: WALLET_POOL_FILE=./wallet-pool.json k6 run presign_transactions.js
+ */
+
+import { configManager } from './lib/config-loader.js';
+import { RPC_URLS } from './lib/endpoint-selector.js';
+import { WALLET_POOL_FILE, loadWalletPool, walletsFromPool } from './lib/wallet-pool.js';
+import { presignTransactions, serializePresignedTxs } from './lib/presigned-pool.js';
+
+// Load configuration
+configManager.loadAll();
+const rpcConfig = configManager.getRpcConfig();
+const envConfig = configManager.getEnvironment();
+
+if (RPC_URLS.length === 0) {
+    throw new Error('At least one RPC_URL must be provided in RPC_URLS environment variable');
+}
+
+// Pre-signed transactions spend pool funds, so only funded pool wallets are used
+if (!WALLET_POOL_FILE) {
+    throw new Error('WALLET_POOL_FILE is required to pre-sign transactions (see prepare_wallet_pool.js)');
+}
+const WALLET_POOL = loadWalletPool(WALLET_POOL_FILE);
+
+const WALLET_CNT = Number(__ENV.WALLET_COUNT || 0);
+const TX_PER_WALLET = Number(__ENV.PRESIGN_TX_COUNT || rpcConfig.presigned.txPerWallet);
+const TRANSFER_AMOUNT = BigInt(__ENV.TRANSFER_AMOUNT || rpcConfig.tokens.defaultTransferAmount);
+const OUT_FILE = (__ENV.PRESIGNED_TX_FILE || rpcConfig.presigned.defaultFile).trim();
+
+export const options = {
+    setupTimeout: envConfig.timeouts.setup,
+    scenarios: {
+        presign: {
+            executor: 'shared-iterations',
+            vus: 1,
+            iterations: 1,
+            exec: 'presign'
+        }
+    }
+};
+
+/**
+ * Sign the transactions against the current pending nonces
+ */
+export function setup() {
+    const wallets = walletsFromPool(WALLET_POOL, WALLET_CNT);
+    console.log(`Pre-signing ${TX_PER_WALLET} transactions for each of ${wallets.length} pool wallets`);
+
+    return presignTransactions(RPC_URLS[0], wallets, TX_PER_WALLET, TRANSFER_AMOUNT);
+}
+
+/**
+ * No load is generated while pre-signing
+ */
+export function presign() {}
+
+/**
+ * Write the pre-signed transactions to the output file
+ */
+export function handleSummary(data) {
+    const presigned = data.setup_data || { gasPrice: 0, wallets: [] };
+    const txCount = presigned.wallets.reduce((sum, w) => sum + w.txs.length, 0);
+    const summary = JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: 'INFO',
+        message: 'Transactions pre-signed',
+        presigned_file: OUT_FILE,
+        wallet_count: presigned.wallets.length,
+        tx_count: txCount,
+        gas_price: presigned.gasPrice
+    }) + '\n';
+
+    return {
+        stdout: summary,
+        [OUT_FILE]: serializePresignedTxs(presigned, {
+            chain_id: rpcConfig.blockchain.chainId,
+            wallet_pool: WALLET_POOL_FILE
+        })
+    };
+}
@@ -7,11 +7,15 @@ import { Trend, Counter, Rate, Gauge } from 'k6/metrics';
 import { sleep, check } from 'k6';
 import http from 'k6/http';
 import { randomBytes } from 'k6/crypto';
+import exec from 'k6/execution';
 
 // Custom k6 extensions for Ethereum functionality
 import ethgo from 'k6/x/ethgo';
 import wallet from 'k6/x/ethgo/wallet';
 
+// Defaults shared with the modular script; environment variables override them
+const RPC_CONFIG = JSON.parse(open('./config/rpc-config.json'));
+
 // Test configuration from environment variables
 const SCENARIO = (__ENV.SCENARIO_TYPE || 'S1_BlockNumber').trim();
 const PROFILE = (__ENV.LOAD_PROFILE || 'baseline').trim().toLowerCase();
@@ -29,6 +33,10 @@ if (RPC_URLS.length === 0) {
     throw new Error('At least one RPC_URL must be provided');
 }
 RPC_URLS.forEach(url => {
+    // Weighted url|weight entries and ENDPOINT_STRATEGY are only supported by the modular script
+    if (url.includes('|')) {
+        throw new Error(`Weighted RPC URL ${url} is not supported here, use somnia_rpc_perf_modular.js`);
+    }
     if (!url.match(/^https?:\/\/.+/)) {
         throw new Error(`Invalid RPC URL format: ${url}`);
     }
@@ -39,26 +47,74 @@ const CONTRACT = (__ENV.CONTRACT_ADDRESS || '0x4C1A08C5531a78081C318467181e79684
 const SIMPLE_SIG = __ENV.SIMPLE_SIG || '0x20965255';
 const HEAVY_SIG = __ENV.HEAVY_SIG || '0xc1725961';
 
+// DEPLOY_CONTRACT=true deploys SimpleHeavyTest in setup for the contract scenarios, from
+// CONTRACT_BYTECODE or the Foundry artifact at CONTRACT_ARTIFACT (run `forge build` first)
+const DEPLOY_CONTRACT = __ENV.DEPLOY_CONTRACT === 'true';
+const CONTRACT_SCENARIOS = ['S5_EthCallSimple', 'S6_EthCallHeavy', 'S15_LogsSubFilter', 'S17_EstimateGas', 'S19_BatchCalls'];
+const CONTRACT_ARTIFACT = __ENV.CONTRACT_ARTIFACT || '../contracts/SimpleHeavyTestProject/out/SimpleHeavyTest.sol/SimpleHeavyTest.json';
+const DEPLOY_TIMEOUT = Number(__ENV.DEPLOY_TIMEOUT || 120);
+
 // Wallet and blockchain configuration
-const BASE_PRIV = (__ENV.PRIVATE_KEY || '').replace(/^0x/, '');
-const BASE_ADDR = (__ENV.WALLET_ADDRESS || '').toLowerCase();
+// PRIVATE_KEYS (comma-separated) splits funding across several accounts;
+// the first funder doubles as the base account
+const PRIVATE_KEYS = (__ENV.PRIVATE_KEYS || '').split(',').map(s => s.trim().replace(/^0x/, '')).filter(Boolean);
+const FUNDERS = PRIVATE_KEYS.length > 0
+    ? PRIVATE_KEYS.map(pk => ({ pk: pk, addr: ethgo.privateKeyToAddress(pk).toLowerCase() }))
+    : [{ pk: (__ENV.PRIVATE_KEY || '').replace(/^0x/, ''), addr: (__ENV.WALLET_ADDRESS || '').toLowerCase() }];
+const BASE_PRIV = FUNDERS[0].pk;
+const BASE_ADDR = FUNDERS[0].addr;
 const CHAIN_ID = Number(__ENV.CHAIN_ID || 50312);
 
+// Base account as a wallet object; every VU sends from it, so its nonce is fetched per transaction
+const BASE_WALLET = { pk: BASE_PRIV, addr: BASE_ADDR, nonce: 0, shared: true };
+
+// Transaction envelope: legacy (type 0), eip2930 (type 1) or eip1559 (type 2)
+const TX_TYPE = (__ENV.TX_TYPE || 'legacy').trim().toLowerCase();
+const PRIORITY_FEE = Number(__ENV.PRIORITY_FEE_PER_GAS || 1000000000);
+if (!['legacy', 'eip1559', 'eip2930'].includes(TX_TYPE)) {
+    throw new Error(`Unknown TX_TYPE '${TX_TYPE}', expected legacy, eip1559 or eip2930`);
+}
+
 // ERC20 token configuration
 const ERC20_ADDR = (__ENV.ERC20_TOKEN || '').toLowerCase();
 const TOKEN_DECIMALS = Number(__ENV.TOKEN_DECIMALS || 18);
 
+// S12 senders: 'wallets' transfers airdropped tokens between test wallets, 'base' sends everything from the base account
+const ERC20_SENDER_MODE = (__ENV.ERC20_SENDER_MODE || 'base').trim().toLowerCase();
+if (!['base', 'wallets'].includes(ERC20_SENDER_MODE)) {
+    throw new Error(`Unknown ERC20_SENDER_MODE '${ERC20_SENDER_MODE}', expected base or wallets`);
+}
+
 // Validate required configurations for write scenarios
 const WRITE_SCENARIOS = ['S11_SendRawTxSmall', 'S12_SendRawTxERC20'];
 if (WRITE_SCENARIOS.includes(SCENARIO)) {
     if (!BASE_PRIV || !BASE_ADDR) {
-        throw new Error('PRIVATE_KEY and WALLET_ADDRESS are required for write scenarios');
+        throw new Error('PRIVATE_KEYS, or PRIVATE_KEY and WALLET_ADDRESS, are required for write scenarios');
     }
     if (SCENARIO === 'S12_SendRawTxERC20' && !ERC20_ADDR) {
         throw new Error('ERC20_TOKEN address is required for S12_SendRawTxERC20 scenario');
     }
 }
 
+// Creation bytecode for DEPLOY_CONTRACT (open() only works in the init context)
+let DEPLOY_BYTECODE = null;
+if (DEPLOY_CONTRACT && CONTRACT_SCENARIOS.includes(SCENARIO)) {
+    if (!BASE_PRIV || !BASE_ADDR) {
+        throw new Error('PRIVATE_KEYS, or PRIVATE_KEY and WALLET_ADDRESS, are required for DEPLOY_CONTRACT');
+    }
+    DEPLOY_BYTECODE = (__ENV.CONTRACT_BYTECODE || '').trim();
+    if (!DEPLOY_BYTECODE) {
+        const artifact = JSON.parse(open(CONTRACT_ARTIFACT));
+        DEPLOY_BYTECODE = artifact.bytecode && (artifact.bytecode.object || artifact.bytecode);
+        if (typeof DEPLOY_BYTECODE !== 'string' || DEPLOY_BYTECODE.replace(/^0x/, '').length === 0) {
+            throw new Error(`Contract artifact ${CONTRACT_ARTIFACT} has no bytecode, run 'forge build' in contracts/SimpleHeavyTestProject`);
+        }
+    }
+    if (!DEPLOY_BYTECODE.startsWith('0x')) {
+        DEPLOY_BYTECODE = `0x${DEPLOY_BYTECODE}`;
+    }
+}
+
 // Event filtering configuration
 const LOG_TOPIC = (__ENV.LOG_TOPIC || '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef');
 let currentLogBlock = null;
@@ -69,6 +125,15 @@ const RETRY_DELAY_MS = Number(__ENV.RETRY_DELAY_MS || 1000);
 const REQUEST_TIMEOUT = __ENV.REQUEST_TIMEOUT || '15s';
 const WS_TIMEOUT = Number(__ENV.WS_TIMEOUT || 60000);
 
+// RPC error messages that mean the locally tracked nonce is out of sync
+const NONCE_ERROR_PATTERNS = RPC_CONFIG.nonce.errorPatterns.map(p => p.toLowerCase());
+
+// Nonce gap detection: compare latest/pending nonces per wallet every NONCE_GAP_CHECK_MS (0 disables)
+// and replace up to MAX_GAP_FILL missing or stuck nonces at NONCE_REPLACEMENT_BUMP times the current price
+const NONCE_GAP_CHECK_MS = Number(__ENV.NONCE_GAP_CHECK_MS || RPC_CONFIG.nonce.gapCheckIntervalMs);
+const MAX_GAP_FILL = RPC_CONFIG.nonce.maxGapFill;
+const NONCE_REPLACEMENT_BUMP = Number(__ENV.NONCE_REPLACEMENT_BUMP || RPC_CONFIG.nonce.replacementPriceBump);
+
 // Parse timeout value (handle both string and number formats)
 function parseTimeout(timeoutValue) {
     if (typeof timeoutValue === 'number') {
@@ -417,13 +482,16 @@ function profile(name, vus) {
 }
 
 /* 2. k6 OPTIONS */
+const K6_PROFILE = profile(PROFILE, VU_COUNT);
+const PROFILE_MAX_VUS = K6_PROFILE.maxVUs || K6_PROFILE.preAllocatedVUs || K6_PROFILE.vus || 1;
+
 export const options = {
     setupTimeout: '5m',
     teardownTimeout: '5m',
     scenarios: {
         main: {
             exec: 'main_scenario',
-            ...profile(PROFILE, VU_COUNT),
+            ...K6_PROFILE,
         },
     },
 };
@@ -462,6 +530,17 @@ const timeoutCount = new Counter('somnia_timeout_count');
 const timeoutByMethod = new Counter('somnia_timeout_by_method');
 const timeoutLatency = new Trend('somnia_timeout_latency', true);
 
+// Fee lookups that fell back to the fixed gas price
+const gasFeeFallbacks = new Counter('somnia_gas_fee_fallback');
+
+// Write iterations skipped because the VU has no exclusive wallet
+const walletUnavailable = new Counter('somnia_wallet_unavailable');
+
+// Nonce gap detection and stuck transaction replacement
+const nonceGaps = new Counter('somnia_nonce_gap');
+const txStuck = new Counter('somnia_tx_stuck');
+const txReplaced = new Counter('somnia_tx_replaced');
+
 // Metrics helper functions
 function addRTT(ms, tags) {
     rtt.add(ms, tags);
@@ -482,6 +561,32 @@ function recordSuccess(tags) {
     }
 }
 
+/**
+ * Check whether an error response mentions a timeout
+ * Only non-2xx bodies and JSON-RPC error messages are searched, a successful result may contain the word
+ * @param {object} response - HTTP response object
+ * @returns {boolean} True if the error text mentions a timeout
+ */
+function errorBodyMentionsTimeout(response) {
+    const body = typeof response.body === 'string' ? response.body : '';
+    const mentionsTimeout = text => text.includes('timeout') || text.includes('timed out');
+    if (!mentionsTimeout(body)) {
+        return false;
+    }
+    if (response.status < 200 || response.status >= 300) {
+        return true;
+    }
+
+    try {
+        const parsed = JSON.parse(body);
+        const items = Array.isArray(parsed) ? parsed : [parsed];
+        return items.some(item => item && item.error && typeof item.error.message === 'string' &&
+            mentionsTimeout(item.error.message));
+    } catch (e) {
+        return false;
+    }
+}
+
 /**
  * Enhanced timeout detection function with metadata retrieval
  * @param {object} response - HTTP response object
@@ -515,12 +620,7 @@ function detectTimeout(response, requestStartTime, timeoutMs) {
         duration_timeout: actualDuration >= timeoutThreshold,
 
         // Check for timeout-related error messages
-        body_timeout: response.body && (
-            response.body.includes('timeout') ||
-            response.body.includes('timed out') ||
-            response.body.includes('request timeout') ||
-            response.body.includes('gateway timeout')
-        ),
+        body_timeout: errorBodyMentionsTimeout(response),
 
         // Check specific HTTP status codes for timeouts
         gateway_timeout: response.status === 504,
@@ -572,10 +672,8 @@ function recordFailure(tags, reason, options = {}) {
             isTimeout = true;
             timeoutDetails = timeoutDetection;
 
-            // Add timeout-specific tags (convert all values to strings)
+            // Add timeout-specific tags (durations stay out of tags, they are logged in timeout_details)
             enrichedTags.timeout_type = timeoutDetection.reasons.join(',');
-            enrichedTags.actual_duration = String(timeoutDetection.actualDuration);
-            enrichedTags.timeout_threshold = String(timeoutDetection.threshold);
 
             // Record timeout-specific metrics
             timeoutCount.add(1, enrichedTags);
@@ -640,6 +738,20 @@ function recordFailure(tags, reason, options = {}) {
  * 4. ENHANCED JSON-RPC AND HTTP HELPERS WITH TIMEOUT HANDLING
  * ========================================================================== */
 
+// JSON-RPC error returned by the most recent jsonCall in this VU
+let lastRpcError = null;
+
+// Endpoint auth (ENDPOINTS_FILE, RPC_BEARER_TOKEN, ...) is only supported by the modular script;
+// metric tags and logs here carry endpoints as scheme://host, with any path or query redacted
+const endpointLabels = {};
+function endpointLabel(url) {
+    if (endpointLabels[url] === undefined) {
+        endpointLabels[url] = String(url).replace(/((?:https?|wss?):\/\/)([^/\s"@]*@)?([^/\s"?#]+)([^\s"]*)/g,
+            (_, scheme, userinfo, host, rest) => scheme + (userinfo ? '[REDACTED]@' : '') + host + (rest && rest !== '/' ? '/[REDACTED]' : ''));
+    }
+    return endpointLabels[url];
+}
+
 // Generate JSON-RPC request payload
 function rpc(id, method, params) {
     return JSON.stringify({
@@ -792,12 +904,13 @@ function jsonCall(url, method, params, extraTags = {}, expectFn = _ => true, ret
     const reqId = String(Math.floor(Date.now() * 1000 + Math.random() * 1000));
     const body = rpc(reqId, method, params);
     const startTime = Date.now();
+    lastRpcError = null;
 
     const baseTags = {
         run_id: RUN_ID,
         scenario: SCENARIO,
         region: REGION,
-        endpoint: url,
+        endpoint: endpointLabel(url),
         method,
         transport: 'http',
         retry_attempt: retryAttempt,
@@ -842,8 +955,7 @@ function jsonCall(url, method, params, extraTags = {}, expectFn = _ => true, ret
             retryCount.add(1, {
                 ...baseTags,
                 error_type: 'timeout',
-                timeout_reasons: timeoutDetection.reasons.join('|'),
-                actual_duration: timeoutDetection.actualDuration
+                timeout_reasons: timeoutDetection.reasons.join('|')
             });
             sleep(RETRY_DELAY_MS / 1000);
             return jsonCall(url, method, params, extraTags, expectFn, retryAttempt + 1);
@@ -885,8 +997,7 @@ function jsonCall(url, method, params, extraTags = {}, expectFn = _ => true, ret
     const httpChecks = {
         'http_status_200': r => r.status === 200,
         'content_type_json': r => (r.headers['Content-Type'] || '').includes('application/json'),
-        'response_body_present': r => r.body && r.body.length > 0,
-        'response_time_reasonable': r => r.timings.duration < (PARSED_TIMEOUT_MS * 0.8)
+        'response_body_present': r => r.body && r.body.length > 0
     };
 
     const httpOk = check(res, httpChecks, baseTags);
@@ -934,6 +1045,7 @@ function jsonCall(url, method, params, extraTags = {}, expectFn = _ => true, ret
     // Handle RPC errors - for eth_estimateGas, we treat RPC errors as successful responses
     if (jsonResponse.error) {
         const rpcError = jsonResponse.error;
+        lastRpcError = rpcError;
         const errorTags = {
             ...baseTags,
             stage: 'rpc_error',
@@ -995,6 +1107,97 @@ const WALLET_CNT = Number(__ENV.WALLET_COUNT || 200);
 const FUNDING_AMOUNT = BigInt(__ENV.FUNDING_AMOUNT || '1000000000000000'); // 0.001 ETH default
 const BATCH_SIZE = Number(__ENV.BATCH_SIZE || 10);
 
+// Wallet assignment: 'shared' maps VUs onto wallets round-robin, 'exclusive' leases each wallet
+// to one VU (no concurrent nonces); WALLET_AUTO_SIZE=true grows the pool to the profile's VUs
+const WALLET_ASSIGNMENT = (__ENV.WALLET_ASSIGNMENT || 'shared').trim().toLowerCase();
+const WALLET_AUTO_SIZE = __ENV.WALLET_AUTO_SIZE === 'true';
+if (!['shared', 'exclusive'].includes(WALLET_ASSIGNMENT)) {
+    throw new Error(`Unknown WALLET_ASSIGNMENT '${WALLET_ASSIGNMENT}', expected shared or exclusive`);
+}
+const EXCLUSIVE_WALLETS = WALLET_ASSIGNMENT === 'exclusive' && WRITE_SCENARIOS.includes(SCENARIO);
+
+// Deterministic wallet derivation: wallet N is derived at WALLET_HD_PATH/(WALLET_INDEX_OFFSET + N)
+const WALLET_MNEMONIC = (__ENV.WALLET_MNEMONIC || '').trim();
+const WALLET_SEED = (__ENV.WALLET_SEED || '').trim();
+const WALLET_HD_PATH = (__ENV.WALLET_HD_PATH || "m/44'/60'/0'/0").trim();
+const WALLET_INDEX_OFFSET = Number(__ENV.WALLET_INDEX_OFFSET || 0);
+
+// Deadline (seconds) for funding transactions to be mined before the main phase starts
+const FUNDING_CONFIRM_TIMEOUT = Number(__ENV.FUNDING_CONFIRM_TIMEOUT || 120);
+
+/**
+ * Plain JSON-RPC call for polling; empty results are expected and not recorded as failures
+ * @param {string} url - RPC endpoint URL
+ * @param {string} method - RPC method name
+ * @param {array} params - RPC method parameters
+ * @returns {*} RPC result or null
+ */
+function pollCall(url, method, params) {
+    try {
+        const res = post(url, rpc('poll', method, params), { tags: { method, op: 'confirm_funding' } });
+        return res.status === 200 ? (res.json().result || null) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Waits until every fundingTx (and tokenAirdropTx if requireToken) has a successful
+ * receipt and the wallet balance is visible, or FUNDING_CONFIRM_TIMEOUT expires
+ * @param {string} url - RPC endpoint URL
+ * @param {array} wallets - Wallets carrying fundingTx / tokenAirdropTx hashes
+ * @param {boolean} requireToken - Also require the ERC20 airdrop to succeed
+ * @returns {object} { funded: wallets, failed: [{ index, addr, reason }] }
+ */
+function confirmFunding(url, wallets, requireToken) {
+    const failed = new Map();
+    const fail = (w, reason) => {
+        if (!failed.has(w.addr)) failed.set(w.addr, { index: w.index, addr: w.addr, reason });
+    };
+
+    let pending = [];
+    wallets.forEach(w => {
+        const txs = requireToken ? [['native', w.fundingTx], ['token', w.tokenAirdropTx]] : [['native', w.fundingTx]];
+        txs.forEach(([kind, hash]) => {
+            if (hash) {
+                pending.push({ wallet: w, kind, hash });
+            } else {
+                fail(w, `${kind} funding transaction was not sent`);
+            }
+        });
+    });
+
+    const deadline = Date.now() + FUNDING_CONFIRM_TIMEOUT * 1000;
+    while (pending.length > 0 && Date.now() < deadline) {
+        pending = pending.filter(c => {
+            if (failed.has(c.wallet.addr)) return false;
+
+            const receipt = pollCall(url, 'eth_getTransactionReceipt', [c.hash]);
+            if (!receipt) return true;
+            if (receipt.status !== '0x1') {
+                fail(c.wallet, `${c.kind} funding transaction ${c.hash} reverted`);
+                return false;
+            }
+            if (c.kind === 'native') {
+                const balanceHex = pollCall(url, 'eth_getBalance', [c.wallet.addr, 'latest']);
+                return !balanceHex || BigInt(balanceHex) === BigInt(0);
+            }
+            return false;
+        });
+
+        if (pending.length > 0) {
+            sleep(1);
+        }
+    }
+
+    pending.forEach(c => fail(c.wallet, `${c.kind} funding transaction ${c.hash} not confirmed within ${FUNDING_CONFIRM_TIMEOUT}s`));
+
+    return {
+        funded: wallets.filter(w => !failed.has(w.addr)),
+        failed: Array.from(failed.values())
+    };
+}
+
 export function setup() {
     const now = new Date();
     const pad = n => n.toString().padStart(2, '0');
@@ -1011,6 +1214,8 @@ export function setup() {
             scenario: SCENARIO,
             profile: PROFILE,
             wallet_count: WALLET_CNT,
+            wallet_assignment: EXCLUSIVE_WALLETS ? 'exclusive' : 'shared',
+            max_vus: PROFILE_MAX_VUS,
             rpc_urls: RPC_URLS.length,
             timeout_config: {
                 request_timeout: REQUEST_TIMEOUT,
@@ -1026,9 +1231,35 @@ export function setup() {
         throw new Error('At least one RPC URL must be specified in RPC_URLS');
     }
 
-    // Generate deterministic wallets for reproducible testing
-    const wallets = Array.from({ length: WALLET_CNT }, (_, index) => {
-        const acc = wallet.generateKey();
+    // Contract scenarios target a freshly deployed contract when DEPLOY_CONTRACT=true
+    let contract = CONTRACT;
+    if (DEPLOY_BYTECODE) {
+        contract = deployContract(RPC_URLS[0], BASE_WALLET, DEPLOY_BYTECODE);
+        console.log(`Deployed SimpleHeavyTest at ${contract}`);
+    }
+
+    // Exclusive leasing needs one wallet per VU the profile can run
+    let walletCount = WALLET_CNT;
+    if (EXCLUSIVE_WALLETS && PROFILE_MAX_VUS > WALLET_CNT) {
+        if (WALLET_AUTO_SIZE) {
+            walletCount = PROFILE_MAX_VUS;
+            console.log(`Load profile runs up to ${PROFILE_MAX_VUS} VUs, raising WALLET_COUNT from ${WALLET_CNT} to ${walletCount}`);
+        } else {
+            // VUs without a wallet would skip every iteration and silently cut the load
+            throw new Error(`Load profile runs up to ${PROFILE_MAX_VUS} VUs but WALLET_COUNT is ${WALLET_CNT}; ` +
+                'exclusive wallet assignment needs one wallet per VU (raise WALLET_COUNT, set WALLET_AUTO_SIZE=true ' +
+                'or use WALLET_ASSIGNMENT=shared)');
+        }
+    }
+
+    // Derive deterministic wallets from WALLET_MNEMONIC / WALLET_SEED for reproducible testing,
+    // falling back to random keys when neither is set
+    const derivation = WALLET_MNEMONIC ? 'mnemonic' : (WALLET_SEED ? 'seed' : 'random');
+    let wallets = Array.from({ length: walletCount }, (_, index) => {
+        const hdIndex = WALLET_INDEX_OFFSET + index;
+        const acc = derivation === 'mnemonic' ? wallet.deriveKeyFromMnemonic(WALLET_MNEMONIC, WALLET_HD_PATH, hdIndex)
+            : derivation === 'seed' ? wallet.deriveKeyFromSeed(WALLET_SEED, WALLET_HD_PATH, hdIndex)
+            : wallet.generateKey();
         return {
             pk: acc.private_key,
             addr: acc.address,
@@ -1038,9 +1269,11 @@ export function setup() {
     });
 
     if (__ENV.K6_LOG_OUTPUT !== 'none') {
-        console.log(`Generated ${wallets.length} test wallets`);
+        console.log(`Generated ${wallets.length} test wallets (derivation: ${derivation})`);
     }
 
+    let unfundedWallets = [];
+
     // Enhanced wallet funding for write scenarios
     if (WRITE_SCENARIOS.includes(SCENARIO)) {
         if (__ENV.K6_LOG_OUTPUT !== 'none') {
@@ -1048,37 +1281,60 @@ export function setup() {
         }
         const fundUrl = RPC_URLS[0];
 
-        // Get current nonce and gas price with retries
-        let baseNonce = Number(jsonCall(fundUrl, 'eth_getTransactionCount', [BASE_ADDR, 'pending'], { op: 'get_nonce' }));
-        const currentGasPrice = Number(jsonCall(fundUrl, 'eth_gasPrice', [], { op: 'get_gas_price' }));
-        const gasPrice = Math.floor(currentGasPrice * 1.2); // 20% buffer
+        // Split wallets across funders round-robin, each funder with its own nonce sequence
+        const funderByAddr = {};
+        const funderNonces = {};
+        FUNDERS.forEach(f => {
+            funderByAddr[f.addr] = f;
+            funderNonces[f.addr] = funderPendingNonce(fundUrl, f.addr);
+            if (funderNonces[f.addr] === null) {
+                throw new Error(`Failed to fetch the pending nonce of funder ${f.addr}`);
+            }
+        });
+
+        // A funder's nonce only advances on accepted sends; after a failed send it is
+        // resynced from the node, so one rejection does not leave later transactions queued
+        const advanceFunderNonce = (w, nonce, txHash) => {
+            if (txHash) {
+                funderNonces[w.funder] = nonce + 1;
+                return;
+            }
+            const pending = funderPendingNonce(fundUrl, w.funder);
+            if (pending !== null) funderNonces[w.funder] = pending;
+            console.warn(`Send from funder ${w.funder} at nonce ${nonce} failed, next nonce ${funderNonces[w.funder]}`);
+        };
+        wallets.forEach((w, i) => { w.funder = FUNDERS[i % FUNDERS.length].addr; });
+
+        const fees = gasFees(fundUrl);
 
         if (__ENV.K6_LOG_OUTPUT !== 'none') {
-            console.log(`Base nonce: ${baseNonce}, Gas price: ${gasPrice}`);
+            FUNDERS.forEach(f => console.log(`Funder ${f.addr} base nonce: ${funderNonces[f.addr]}, Gas price: ${fees.gasPrice}`));
         }
 
         // Fund wallets in batches to avoid nonce conflicts
         for (let i = 0; i < wallets.length; i += BATCH_SIZE) {
             const batch = wallets.slice(i, i + BATCH_SIZE);
 
-            batch.forEach((w, batchIndex) => {
-                const nonce = baseNonce + i + batchIndex;
-                const raw = ethgo.signLegacyTx({
+            batch.forEach(w => {
+                const nonce = funderNonces[w.funder];
+                const raw = signTx({
+                    ...fees,
                     nonce: nonce,
-                    gasPrice: gasPrice,
                     gas: 21000, // Standard transfer gas
                     to: w.addr,
                     value: FUNDING_AMOUNT,
                     data: '0x',
                     chainId: CHAIN_ID
-                }, BASE_PRIV);
+                }, funderByAddr[w.funder].pk);
 
                 const txHash = jsonCall(fundUrl, 'eth_sendRawTransaction', [raw], {
                     op: 'fund_wallet',
+                    ...feeTags(fees),
                     wallet_index: w.index,
-                    nonce: nonce
+                    funder: w.funder
                 });
 
+                advanceFunderNonce(w, nonce, txHash);
                 if (txHash) {
                     w.fundingTx = txHash;
                 }
@@ -1090,8 +1346,6 @@ export function setup() {
             }
         }
 
-        baseNonce += wallets.length;
-
         // ERC20 token distribution for token transfer scenarios
         if (SCENARIO === 'S12_SendRawTxERC20') {
             console.log('Distributing ERC20 tokens...');
@@ -1101,29 +1355,31 @@ export function setup() {
             for (let i = 0; i < wallets.length; i += BATCH_SIZE) {
                 const batch = wallets.slice(i, i + BATCH_SIZE);
 
-                batch.forEach((w, batchIndex) => {
-                    const nonce = baseNonce + i + batchIndex;
+                batch.forEach(w => {
+                    const nonce = funderNonces[w.funder];
                     // ERC20 transfer function signature + recipient + amount
                     const data = '0xa9059cbb' +
                         w.addr.replace(/^0x/, '').padStart(64, '0') +
                         amountHex;
 
-                    const raw = ethgo.signLegacyTx({
+                    const raw = signTx({
+                        ...fees,
                         nonce: nonce,
-                        gasPrice: gasPrice,
                         gas: 65000, // ERC20 transfer gas
                         to: ERC20_ADDR,
                         value: 0,
                         data: data,
                         chainId: CHAIN_ID
-                    }, BASE_PRIV);
+                    }, funderByAddr[w.funder].pk);
 
                     const txHash = jsonCall(fundUrl, 'eth_sendRawTransaction', [raw], {
                         op: 'token_airdrop',
+                        ...feeTags(fees),
                         wallet_index: w.index,
                         amount: tokenAmount.toString()
                     });
 
+                    advanceFunderNonce(w, nonce, txHash);
                     if (txHash) {
                         w.tokenAirdropTx = txHash;
                     }
@@ -1135,13 +1391,151 @@ export function setup() {
             }
         }
 
-        // Wait for transactions to be mined
-        console.log('Waiting for funding transactions to be processed...');
-        sleep(5);
+        // Wait until funding transactions are mined and drop wallets that failed to fund
+        console.log('Waiting for funding transactions to be confirmed...');
+        const funding = confirmFunding(fundUrl, wallets, SCENARIO === 'S12_SendRawTxERC20');
+
+        console.log(JSON.stringify({
+            timestamp: new Date().toISOString(),
+            level: funding.failed.length > 0 ? 'WARN' : 'INFO',
+            message: 'Funding confirmation completed',
+            run_id: runId,
+            scenario: SCENARIO,
+            funded_wallets: funding.funded.length,
+            failed_wallets: funding.failed
+        }));
+
+        if (funding.funded.length === 0) {
+            throw new Error(`None of the ${wallets.length} wallets could be funded`);
+        }
+        const failedAddrs = funding.failed.map(f => f.addr);
+        unfundedWallets = wallets.filter(w => failedAddrs.includes(w.addr));
+        wallets = funding.funded;
     }
 
     console.log('Setup complete.');
-    return { wallets, runId };
+    return { wallets, unfundedWallets, runId, contract };
+}
+
+// Gas pricing: fixed (GAS_PRICE), multiplier (eth_gasPrice * buffer), feehistory
+// (eth_feeHistory percentile) or priorityfee (eth_maxPriorityFeePerGas + base fee)
+const GAS_STRATEGY = (__ENV.GAS_STRATEGY || RPC_CONFIG.gas.strategy).trim().toLowerCase();
+const FIXED_GAS_PRICE = Number(__ENV.GAS_PRICE || RPC_CONFIG.gas.fixedGasPrice);
+const GAS_FEE_HISTORY_BLOCKS = Number(__ENV.GAS_FEE_HISTORY_BLOCKS || RPC_CONFIG.gas.feeHistoryBlocks);
+const GAS_FEE_PERCENTILE = Number(__ENV.GAS_FEE_PERCENTILE || RPC_CONFIG.gas.feeHistoryPercentile);
+const GAS_CACHE_MS = Number(__ENV.GAS_CACHE_MS || RPC_CONFIG.gas.cacheMs);
+const GAS_PRICE_MULTIPLIER = RPC_CONFIG.blockchain.gasPriceMultiplier;
+const TEARDOWN_GAS_PRICE_MULTIPLIER = RPC_CONFIG.blockchain.teardownGasPriceMultiplier;
+if (!['fixed', 'multiplier', 'feehistory', 'priorityfee'].includes(GAS_STRATEGY)) {
+    throw new Error(`Unknown GAS_STRATEGY '${GAS_STRATEGY}', expected fixed, multiplier, feehistory or priorityfee`);
+}
+
+// Fees per endpoint and multiplier, cached per VU for GAS_CACHE_MS
+const feeCache = {};
+
+/**
+ * Fees of the fixed strategy
+ */
+function fixedFees() {
+    return { gasPrice: FIXED_GAS_PRICE, maxFeePerGas: FIXED_GAS_PRICE, maxPriorityFeePerGas: Math.min(PRIORITY_FEE, FIXED_GAS_PRICE) };
+}
+
+/**
+ * Get transaction fees from the configured gas strategy, cached for GAS_CACHE_MS.
+ * A stale cached value is reused if the node does not answer; without one the fixed
+ * price is used and counted in somnia_gas_fee_fallback.
+ * @param {string} url - RPC endpoint URL
+ * @param {number} multiplier - Buffer applied to the gas price (ignored by 'fixed')
+ * @returns {object} Fees ({ gasPrice, maxFeePerGas, maxPriorityFeePerGas })
+ */
+function gasFees(url, multiplier = GAS_PRICE_MULTIPLIER) {
+    const key = `${url}|${multiplier}`;
+    const cached = feeCache[key];
+    if (cached && Date.now() - cached.fetchedAt < GAS_CACHE_MS) {
+        return cached.fees;
+    }
+
+    // Legacy price is (baseFee + tip) * multiplier; maxFeePerGas tolerates a doubling base fee
+    const dynamicFees = (baseFee, tip) => {
+        const price = Math.floor((baseFee + tip) * multiplier);
+        return { gasPrice: price, maxFeePerGas: Math.max(price, 2 * baseFee + tip), maxPriorityFeePerGas: tip };
+    };
+
+    let fees = null;
+    if (GAS_STRATEGY === 'fixed') {
+        fees = fixedFees();
+    } else if (GAS_STRATEGY === 'feehistory') {
+        const history = jsonCall(url, 'eth_feeHistory',
+            ['0x' + GAS_FEE_HISTORY_BLOCKS.toString(16), 'latest', [GAS_FEE_PERCENTILE]], { op: 'get_fee_history' });
+        if (history && Array.isArray(history.baseFeePerGas)) {
+            const baseFee = Number(history.baseFeePerGas[history.baseFeePerGas.length - 1] || 0);
+            const rewards = (history.reward || []).map(r => Number(r[0])).filter(r => !isNaN(r));
+            const tip = rewards.length > 0 ? Math.floor(rewards.reduce((a, b) => a + b, 0) / rewards.length) : PRIORITY_FEE;
+            fees = dynamicFees(baseFee, tip);
+        }
+    } else if (GAS_STRATEGY === 'priorityfee') {
+        const tipHex = jsonCall(url, 'eth_maxPriorityFeePerGas', [], { op: 'get_priority_fee' });
+        const block = jsonCall(url, 'eth_getBlockByNumber', ['latest', false], { op: 'get_base_fee' });
+        if (tipHex && block) {
+            fees = dynamicFees(Number(block.baseFeePerGas || 0), Number(tipHex));
+        }
+    } else {
+        const priceHex = jsonCall(url, 'eth_gasPrice', [], { op: 'get_gas_price' });
+        if (priceHex) {
+            const price = Math.floor(Number(priceHex) * multiplier);
+            fees = { gasPrice: price, maxFeePerGas: price, maxPriorityFeePerGas: Math.min(PRIORITY_FEE, price) };
+        }
+    }
+
+    if (!fees) {
+        if (cached) return cached.fees;
+        gasFeeFallbacks.add(1, { gas_strategy: GAS_STRATEGY, endpoint: endpointLabel(url) });
+        console.warn(`Could not determine fees with gas strategy '${GAS_STRATEGY}' from ${endpointLabel(url)}, using the fixed price ${FIXED_GAS_PRICE}`);
+        return fixedFees();
+    }
+    feeCache[key] = { fees, fetchedAt: Date.now() };
+    return fees;
+}
+
+/**
+ * Metric tags describing the fee a transaction was sent with
+ * @param {object} fees - Fees used for the transaction
+ */
+function feeTags(fees) {
+    const tags = { gas_strategy: GAS_STRATEGY, fee_gwei: (fees.gasPrice / 1e9).toFixed(2) };
+    if (fees.maxPriorityFeePerGas) {
+        tags.tip_gwei = (fees.maxPriorityFeePerGas / 1e9).toFixed(2);
+    }
+    return tags;
+}
+
+// Fees of the last transaction built in this VU, reported by sendRawTx
+let lastTxFees = null;
+
+/**
+ * Signs transaction params with the envelope selected by TX_TYPE.
+ * For eip1559 the gasPrice becomes maxFeePerGas unless maxFeePerGas is given,
+ * and the priority fee is capped at the max fee.
+ * @param {object} txParams - Transaction params (nonce, gasPrice, maxFeePerGas, maxPriorityFeePerGas, gas, to, value, data, chainId)
+ * @param {string} privKey - Signer private key (hex, no 0x prefix)
+ */
+function signTx(txParams, privKey) {
+    switch (TX_TYPE) {
+        case 'eip1559': {
+            const { gasPrice, ...rest } = txParams;
+            const maxFeePerGas = txParams.maxFeePerGas || gasPrice;
+            return ethgo.signDynamicFeeTx({
+                ...rest,
+                maxFeePerGas,
+                maxPriorityFeePerGas: Math.min(txParams.maxPriorityFeePerGas || PRIORITY_FEE, maxFeePerGas),
+                accessList: []
+            }, privKey);
+        }
+        case 'eip2930':
+            return ethgo.signAccessListTx({ ...txParams, accessList: [] }, privKey);
+        default:
+            return ethgo.signLegacyTx(txParams, privKey);
+    }
 }
 
 /**
@@ -1151,18 +1545,19 @@ export function setup() {
  * @param {string} to - Recipient address
  * @param {number|BigInt} value - Transaction value in wei
  * @param {string} data - Transaction data
- * @param {object} options - Additional options (gasPrice, gasLimit overrides)
+ * @param {object} options - Additional options (nonce, gasPrice, gasLimit overrides)
  */
 function buildRawTx(url, wallet, to, value, data, options = {}) {
-    // Get current nonce for the wallet
-    const nonce = Number(jsonCall(url, 'eth_getTransactionCount', [wallet.addr, 'pending'], {
-        op: 'get_nonce',
-        wallet_addr: wallet.addr
-    }));
+    // Repair nonce gaps before reserving the next locally tracked nonce
+    let nonce = options.nonce;
+    if (nonce === undefined) {
+        repairNonceGaps(url, wallet);
+        nonce = nextNonce(url, wallet);
+    }
 
-    // Get current gas price with buffer
-    const currentGasPrice = Number(jsonCall(url, 'eth_gasPrice', [], { op: 'get_gas_price' }));
-    const gasPrice = options.gasPrice || Math.floor(currentGasPrice * 1.2);
+    // Fees from the gas strategy (20% buffer, cached), unless the caller fixes the gas price
+    const fees = options.gasPrice ? { gasPrice: options.gasPrice } : gasFees(url);
+    lastTxFees = fees;
 
     // Estimate gas limit based on transaction type
     let gasLimit;
@@ -1178,8 +1573,8 @@ function buildRawTx(url, wallet, to, value, data, options = {}) {
 
     // Build and sign transaction
     const txParams = {
+        ...fees,
         nonce: nonce,
-        gasPrice: gasPrice,
         gas: gasLimit,
         to: to,
         value: value,
@@ -1188,13 +1583,191 @@ function buildRawTx(url, wallet, to, value, data, options = {}) {
     };
 
     try {
-        return ethgo.signLegacyTx(txParams, wallet.pk);
+        return signTx(txParams, wallet.pk);
     } catch (e) {
         console.error(`Failed to sign transaction for wallet ${wallet.addr}: ${e.message}`);
         throw e;
     }
 }
 
+/**
+ * Deploy contract creation bytecode from the given wallet and wait for its receipt
+ * @param {string} url - RPC endpoint URL
+ * @param {object} deployer - Deployer wallet object with pk, addr and nonce
+ * @param {string} bytecode - 0x-prefixed creation bytecode
+ * @returns {string} Deployed contract address
+ */
+function deployContract(url, deployer, bytecode) {
+    const estimate = jsonCall(url, 'eth_estimateGas', [{ from: deployer.addr, data: bytecode }], { op: 'deploy_estimate' });
+    // eth_estimateGas RPC errors come back as { error }
+    const gasLimit = typeof estimate === 'string' ? Math.ceil(Number(estimate) * 1.2) : 1000000;
+
+    const raw = buildRawTx(url, deployer, null, 0, bytecode, { gasLimit });
+    const txHash = sendRawTx(url, deployer, raw, { op: 'deploy_contract', tx_type: 'contract_deploy' });
+    if (!txHash) {
+        throw new Error(`Contract deployment from ${deployer.addr} was rejected`);
+    }
+
+    const deadline = Date.now() + DEPLOY_TIMEOUT * 1000;
+    let receipt = null;
+    while (!receipt && Date.now() < deadline) {
+        receipt = pollCall(url, 'eth_getTransactionReceipt', [txHash]);
+        if (!receipt) sleep(1);
+    }
+    if (!receipt) {
+        throw new Error(`Contract deployment ${txHash} was not mined within ${DEPLOY_TIMEOUT}s`);
+    }
+    if (receipt.status !== '0x1' || !receipt.contractAddress) {
+        throw new Error(`Contract deployment ${txHash} failed with status ${receipt.status}`);
+    }
+    return receipt.contractAddress.toLowerCase();
+}
+
+/**
+ * Fetch the pending nonce of a funder from the node
+ * @param {string} url - RPC endpoint URL
+ * @param {string} addr - Funder address
+ * @returns {number|null} Pending nonce, or null if the call failed
+ */
+function funderPendingNonce(url, addr) {
+    const nonceHex = jsonCall(url, 'eth_getTransactionCount', [addr, 'pending'], { op: 'get_nonce' });
+    return nonceHex ? Number(nonceHex) : null;
+}
+
+// Addresses whose nonce has been seeded from the node in this VU
+const syncedNonces = new Set();
+
+/**
+ * Fetch the pending nonce of a wallet from the node into wallet.nonce
+ * @param {string} url - RPC endpoint URL
+ * @param {object} wallet - Wallet object with addr and nonce
+ * @returns {boolean} True if the nonce was refreshed
+ */
+function syncNonce(url, wallet) {
+    const nonceHex = jsonCall(url, 'eth_getTransactionCount', [wallet.addr, 'pending'], {
+        op: 'sync_nonce',
+        wallet_addr: wallet.addr
+    });
+    if (!nonceHex) return false;
+    wallet.nonce = Number(nonceHex);
+    syncedNonces.add(wallet.addr);
+    return true;
+}
+
+/**
+ * Reserve the next nonce for a wallet, seeding it from the node only on first use
+ * (shared wallets such as the base account fetch it for every transaction)
+ * @param {string} url - RPC endpoint URL
+ * @param {object} wallet - Wallet object with addr, nonce and optional shared flag
+ * @returns {number} Nonce to use for the next transaction
+ */
+function nextNonce(url, wallet) {
+    if ((wallet.shared || !syncedNonces.has(wallet.addr)) && !syncNonce(url, wallet)) {
+        throw new Error(`Failed to fetch the pending nonce of ${wallet.addr}`);
+    }
+    const nonce = wallet.nonce;
+    wallet.nonce = nonce + 1;
+    sendEndpoints[wallet.addr] = url;
+    return nonce;
+}
+
+// Last gap check per address ({ checkedAt, latest, pending })
+const gapChecks = {};
+
+// Endpoint each address last reserved a nonce for, where its transactions were sent
+const sendEndpoints = {};
+
+/**
+ * Compare the latest/pending nonces of the endpoint the wallet sent to with the local
+ * nonce and send bumped-price zero-value self-transfers for nonces that never reached
+ * the pool (a gap unchanged over two checks) or that saw no mined progress between two
+ * checks while transactions were pending (stuck)
+ * @param {string} url - RPC endpoint URL, used if the wallet has not sent yet
+ * @param {object} wallet - Wallet object with pk, addr and nonce
+ */
+function repairNonceGaps(url, wallet) {
+    if (NONCE_GAP_CHECK_MS <= 0 || wallet.shared || !syncedNonces.has(wallet.addr)) return;
+
+    const now = Date.now();
+    const previous = gapChecks[wallet.addr];
+    if (!previous) {
+        gapChecks[wallet.addr] = { checkedAt: now, latest: -1, pending: -1 };
+        return;
+    }
+    if (now - previous.checkedAt < NONCE_GAP_CHECK_MS) return;
+
+    const endpoint = sendEndpoints[wallet.addr] || url;
+    const checkTags = { op: 'nonce_gap_check', wallet_addr: wallet.addr };
+    const latestHex = jsonCall(endpoint, 'eth_getTransactionCount', [wallet.addr, 'latest'], checkTags);
+    const pendingHex = jsonCall(endpoint, 'eth_getTransactionCount', [wallet.addr, 'pending'], checkTags);
+    if (!latestHex || !pendingHex) return;
+
+    const latest = Number(latestHex);
+    const pending = Number(pendingHex);
+    gapChecks[wallet.addr] = { checkedAt: now, latest, pending };
+
+    const metricTags = { scenario: SCENARIO, endpoint: endpointLabel(endpoint) };
+    let reason = null;
+    const nonces = [];
+    if (pending < wallet.nonce) {
+        // A gap seen once may be propagation lag; replace only if it persists
+        if (pending !== previous.pending) return;
+        reason = 'gap';
+        nonceGaps.add(1, metricTags);
+        for (let n = pending; n < Math.min(wallet.nonce, pending + MAX_GAP_FILL); n++) nonces.push(n);
+    } else if (latest === previous.latest && pending > latest) {
+        reason = 'stuck';
+        txStuck.add(1, metricTags);
+        nonces.push(latest);
+    } else {
+        return;
+    }
+
+    const fees = gasFees(endpoint);
+    const bumped = {
+        gasPrice: Math.ceil(fees.gasPrice * NONCE_REPLACEMENT_BUMP),
+        maxFeePerGas: Math.ceil(fees.maxFeePerGas * NONCE_REPLACEMENT_BUMP),
+        maxPriorityFeePerGas: Math.ceil(fees.maxPriorityFeePerGas * NONCE_REPLACEMENT_BUMP)
+    };
+    console.warn(`Nonce ${reason} for ${wallet.addr} at nonces ${nonces.join(', ')}, sending replacements`);
+
+    let replaced = 0;
+    nonces.forEach(nonce => {
+        const raw = signTx({ ...bumped, nonce: nonce, gas: 21000, to: wallet.addr, value: 0, data: '0x', chainId: CHAIN_ID }, wallet.pk);
+        const txHash = jsonCall(endpoint, 'eth_sendRawTransaction', [raw], {
+            op: 'nonce_replacement',
+            reason: reason,
+            wallet_addr: wallet.addr,
+            ...feeTags(bumped)
+        });
+        if (txHash) replaced++;
+    });
+    txReplaced.add(replaced, { ...metricTags, reason });
+}
+
+/**
+ * Send a signed transaction and resync the sender's nonce after "nonce too low/high" errors
+ * @param {string} url - RPC endpoint URL
+ * @param {object} wallet - Sending wallet object
+ * @param {string} raw - Signed raw transaction
+ * @param {object} extraTags - Additional tags for metrics
+ * @param {function} expectFn - Result validation function
+ */
+function sendRawTx(url, wallet, raw, extraTags = {}, expectFn = _ => true) {
+    const txFeeTags = lastTxFees ? feeTags(lastTxFees) : {};
+    const txHash = jsonCall(url, 'eth_sendRawTransaction', [raw], { tx_envelope: TX_TYPE, ...txFeeTags, ...extraTags }, expectFn);
+    if (!txHash && lastRpcError) {
+        const message = String(lastRpcError.message || '').toLowerCase();
+        if (NONCE_ERROR_PATTERNS.some(p => message.includes(p))) {
+            console.warn(`Nonce mismatch for ${wallet.addr} (${lastRpcError.message}), resyncing from node`);
+            // A failed resync leaves the wallet unsynced, so its next nonce is fetched again
+            syncedNonces.delete(wallet.addr);
+            syncNonce(url, wallet);
+        }
+    }
+    return txHash;
+}
+
 /**
  * Enhanced WebSocket subscription with better connection management and timeout handling
  * @param {string} wsUrl - WebSocket endpoint URL
@@ -1219,7 +1792,7 @@ function wsSub(wsUrl, rpcUrl, method, params, options = {}) {
             run_id: RUN_ID,
             scenario: SCENARIO,
             region: REGION,
-            endpoint: rpcUrl,
+            endpoint: endpointLabel(rpcUrl),
             method: method,
             transport: 'websocket',
             connection_id: connectionId,
@@ -1394,14 +1967,24 @@ export function main_scenario(data) {
         RUN_ID = data.runId;
     }
 
+    // Contract deployed in setup, or CONTRACT_ADDRESS
+    const contractAddr = data.contract || CONTRACT;
+
     // Distribute VUs across available RPC endpoints for load balancing
     const endpointIndex = (__VU - 1) % RPC_URLS.length;
     const rpcUrl = RPC_URLS[endpointIndex];
     const wsUrl = rpcUrl.replace(/^http/, 'ws');
 
-    // Assign wallet to VU (round-robin distribution)
-    const walletIndex = (__VU - 1) % data.wallets.length;
-    const testWallet = data.wallets[walletIndex];
+    // Assign wallet to VU: exclusive leases partition wallets by VU id so no wallet
+    // has two transactions in flight; VUs beyond the pool size sit out
+    const vuIndex = exec.vu.idInTest - 1;
+    const testWallet = EXCLUSIVE_WALLETS
+        ? data.wallets[vuIndex]
+        : data.wallets[vuIndex % data.wallets.length];
+    if (!testWallet) {
+        walletUnavailable.add(1, { scenario: SCENARIO, endpoint: endpointLabel(rpcUrl) });
+        return;
+    }
 
     switch (SCENARIO) {
         // Basic RPC method tests
@@ -1426,14 +2009,14 @@ export function main_scenario(data) {
         // Smart contract interaction tests
         case 'S5_EthCallSimple':
             return jsonCall(rpcUrl, 'eth_call',
-                [{ to: CONTRACT, data: SIMPLE_SIG }, 'latest'],
-                { contract_addr: CONTRACT, call_type: 'simple' },
+                [{ to: contractAddr, data: SIMPLE_SIG }, 'latest'],
+                { contract_addr: contractAddr, call_type: 'simple' },
                 result => typeof result === 'string' && result.startsWith('0x'));
 
         case 'S6_EthCallHeavy':
             return jsonCall(rpcUrl, 'eth_call',
-                [{ to: CONTRACT, data: HEAVY_SIG }, 'latest'],
-                { contract_addr: CONTRACT, call_type: 'heavy' },
+                [{ to: contractAddr, data: HEAVY_SIG }, 'latest'],
+                { contract_addr: contractAddr, call_type: 'heavy' },
                 result => typeof result === 'string' && result.startsWith('0x'));
 
         case 'S7_GetLogsSmall': {
@@ -1520,7 +2103,7 @@ export function main_scenario(data) {
         case 'S11_SendRawTxSmall': {
             const transferAmount = BigInt(__ENV.TRANSFER_AMOUNT || '1000000000000000'); // 0.001 ETH
             const raw = buildRawTx(rpcUrl, testWallet, testWallet.addr, transferAmount, '0x');
-            return jsonCall(rpcUrl, 'eth_sendRawTransaction', [raw],
+            return sendRawTx(rpcUrl, testWallet, raw,
                 {
                     tx_type: 'self_transfer',
                     wallet_addr: testWallet.addr,
@@ -1533,19 +2116,26 @@ export function main_scenario(data) {
             const tokenAmount = (BigInt(10) ** BigInt(TOKEN_DECIMALS)) / BigInt(10000);
             const encodeAmount = amount => amount.toString(16).padStart(64, '0');
 
+            // In wallets mode the VU's wallet pays the next test wallet, so tokens circulate around the set
+            const fromWallets = ERC20_SENDER_MODE === 'wallets';
+            const sender = fromWallets ? testWallet : BASE_WALLET;
+            const recipient = fromWallets
+                ? data.wallets[(data.wallets.indexOf(testWallet) + 1) % data.wallets.length]
+                : testWallet;
+
             // ERC20 transfer function call data
             const transferData = '0xa9059cbb' +
-                testWallet.addr.replace(/^0x/, '').padStart(64, '0') +
+                recipient.addr.replace(/^0x/, '').padStart(64, '0') +
                 encodeAmount(tokenAmount);
 
-            const sender = { pk: BASE_PRIV, addr: BASE_ADDR };
             const raw = buildRawTx(rpcUrl, sender, ERC20_ADDR, 0, transferData);
 
-            return jsonCall(rpcUrl, 'eth_sendRawTransaction', [raw],
+            return sendRawTx(rpcUrl, sender, raw,
                 {
                     tx_type: 'erc20_transfer',
+                    sender_mode: ERC20_SENDER_MODE,
                     token_addr: ERC20_ADDR,
-                    recipient: testWallet.addr,
+                    recipient: recipient.addr,
                     amount: tokenAmount.toString()
                 },
                 result => typeof result === 'string' && result.startsWith('0x') && result.length === 66);
@@ -1565,7 +2155,7 @@ export function main_scenario(data) {
 
         case 'S15_LogsSubFilter':
             return wsSub(wsUrl, rpcUrl, 'eth_subscribe', ['logs', {
-                address: CONTRACT,
+                address: contractAddr,
                 topics: [LOG_TOPIC]
             }], {
                 timeout: WS_TIMEOUT,
@@ -1612,7 +2202,7 @@ export function main_scenario(data) {
                     {
                         type: 'basic_call',
                         params: {
-                            to: CONTRACT,
+                            to: contractAddr,
                             from: testWallet.addr,
                             data: '0x' // Empty data call
                         }
@@ -1630,7 +2220,7 @@ export function main_scenario(data) {
                     {
                         type: 'basic_call',
                         params: {
-                            to: CONTRACT,
+                            to: contractAddr,
                             from: testWallet.addr,
                             data: SIMPLE_SIG
                         }
@@ -1692,7 +2282,7 @@ export function main_scenario(data) {
                 jsonrpc: '2.0',
                 id: i + 1,
                 method: 'eth_call',
-                params: [{ to: CONTRACT, data: SIMPLE_SIG }, 'latest'],
+                params: [{ to: contractAddr, data: SIMPLE_SIG }, 'latest'],
             }));
 
             const startTime = Date.now();
@@ -1700,7 +2290,7 @@ export function main_scenario(data) {
                 run_id: RUN_ID,
                 scenario: SCENARIO,
                 region: REGION,
-                endpoint: rpcUrl,
+                endpoint: endpointLabel(rpcUrl),
                 method: 'batch_eth_call',
                 transport: 'http',
                 batch_size: batchSize
@@ -1799,7 +2389,7 @@ export function main_scenario(data) {
                 run_id: RUN_ID,
                 scenario: SCENARIO,
                 region: REGION,
-                endpoint: rpcUrl,
+                endpoint: endpointLabel(rpcUrl),
                 method: 'http_handshake',
                 transport: 'http'
             };
@@ -1840,7 +2430,6 @@ export function main_scenario(data) {
             // Check various aspects of the HTTP handshake
             const checks = {
                 'http_status_ok': r => r.status >= 200 && r.status < 300,
-                'response_time_reasonable': r => r.timings.duration < 5000,
                 'connection_established': r => r.timings.connecting >= 0,
                 'tls_handshake_ok': r => !rpcUrl.startsWith('https') || r.timings.tls_handshaking >= 0
             };
@@ -1947,22 +2536,75 @@ export function teardown(data) {
 
     console.log('Starting fund recovery process...');
     const refundUrl = RPC_URLS[0];
+    // Wallets that failed funding confirmation may still hold partial funds
+    const refundWallets = data.wallets.concat(data.unfundedWallets || []);
     let recoveredFunds = BigInt(0);
     let successfulRefunds = 0;
     let failedRefunds = 0;
+    let recoveredTokens = BigInt(0);
+    let successfulTokenRefunds = 0;
+    let failedTokenRefunds = 0;
 
     try {
-        const currentGasPrice = Number(jsonCall(refundUrl, 'eth_gasPrice', [], { op: 'teardown_gas_price' }));
-        const gasPrice = Math.floor(currentGasPrice * 1.1); // 10% buffer for faster processing
+        // 10% buffer; refunds pay exactly gasPrice per gas so the swept value covers the fee
+        const gasPrice = gasFees(refundUrl, TEARDOWN_GAS_PRICE_MULTIPLIER).gasPrice;
 
         console.log(`Teardown gas price: ${gasPrice}`);
 
         // Process wallets in batches for better performance
-        for (let i = 0; i < data.wallets.length; i += BATCH_SIZE) {
-            const batch = data.wallets.slice(i, i + BATCH_SIZE);
+        for (let i = 0; i < refundWallets.length; i += BATCH_SIZE) {
+            const batch = refundWallets.slice(i, i + BATCH_SIZE);
 
             batch.forEach(w => {
                 try {
+                    let nonce = Number(jsonCall(refundUrl, 'eth_getTransactionCount', [w.addr, 'pending'], {
+                        op: 'teardown_nonce',
+                        wallet_addr: w.addr
+                    }));
+
+                    // Sweep airdropped ERC20 tokens back before the native balance
+                    let tokenGasCost = BigInt(0);
+                    if (ERC20_ADDR) {
+                        const tokenBalanceHex = jsonCall(refundUrl, 'eth_call', [{
+                            to: ERC20_ADDR,
+                            data: '0x70a08231' + w.addr.replace(/^0x/, '').padStart(64, '0')
+                        }, 'latest'], {
+                            op: 'teardown_token_balance_check',
+                            wallet_addr: w.addr
+                        });
+                        const tokenBalance = tokenBalanceHex && tokenBalanceHex !== '0x' ? BigInt(tokenBalanceHex) : BigInt(0);
+
+                        if (tokenBalance > BigInt(0)) {
+                            const tokenRaw = signTx({
+                                nonce: nonce,
+                                gasPrice: gasPrice,
+                                gas: 65000,
+                                to: ERC20_ADDR,
+                                value: 0,
+                                data: '0xa9059cbb' +
+                                    (w.funder || BASE_ADDR).replace(/^0x/, '').padStart(64, '0') +
+                                    tokenBalance.toString(16).padStart(64, '0'),
+                                chainId: CHAIN_ID
+                            }, w.pk);
+
+                            const tokenTxHash = jsonCall(refundUrl, 'eth_sendRawTransaction', [tokenRaw], {
+                                op: 'teardown_token_refund',
+                                wallet_addr: w.addr,
+                                amount: tokenBalance.toString()
+                            });
+
+                            if (tokenTxHash) {
+                                nonce++;
+                                tokenGasCost = BigInt(gasPrice) * BigInt(65000);
+                                recoveredTokens += tokenBalance;
+                                successfulTokenRefunds++;
+                                console.log(`Refunded ${tokenBalance} tokens from ${w.addr}, tx: ${tokenTxHash}`);
+                            } else {
+                                failedTokenRefunds++;
+                            }
+                        }
+                    }
+
                     const balanceHex = jsonCall(refundUrl, 'eth_getBalance', [w.addr, 'latest'], {
                         op: 'teardown_balance_check',
                         wallet_addr: w.addr
@@ -1970,7 +2612,7 @@ export function teardown(data) {
 
                     if (!balanceHex) return;
 
-                    const balance = BigInt(balanceHex);
+                    const balance = BigInt(balanceHex) - tokenGasCost;
                     const gasCost = BigInt(gasPrice) * BigInt(21000);
 
                     // Only refund if balance covers gas costs with some margin
@@ -1980,16 +2622,11 @@ export function teardown(data) {
                     }
 
                     const sendValue = balance - gasCost;
-                    const nonce = Number(jsonCall(refundUrl, 'eth_getTransactionCount', [w.addr, 'pending'], {
-                        op: 'teardown_nonce',
-                        wallet_addr: w.addr
-                    }));
-
-                    const raw = ethgo.signLegacyTx({
+                    const raw = signTx({
                         nonce: nonce,
                         gasPrice: gasPrice,
                         gas: 21000,
-                        to: BASE_ADDR,
+                        to: w.funder || BASE_ADDR,
                         value: sendValue,
                         data: '0x',
                         chainId: CHAIN_ID
@@ -2005,6 +2642,8 @@ export function teardown(data) {
                         recoveredFunds += sendValue;
                         successfulRefunds++;
                         console.log(`Refunded ${sendValue} wei from ${w.addr}, tx: ${txHash}`);
+                    } else {
+                        failedRefunds++;
                     }
                 } catch (e) {
                     failedRefunds++;
@@ -2013,7 +2652,7 @@ export function teardown(data) {
             });
 
             // Small delay between batches
-            if (i + BATCH_SIZE < data.wallets.length) {
+            if (i + BATCH_SIZE < refundWallets.length) {
                 sleep(0.5);
             }
         }
@@ -2034,6 +2673,10 @@ export function teardown(data) {
         recovered_funds_wei: recoveredFunds.toString(),
         successful_refunds: successfulRefunds,
         failed_refunds: failedRefunds,
-        total_wallets: data.wallets.length
+        token_addr: ERC20_ADDR || null,
+        recovered_tokens: recoveredTokens.toString(),
+        successful_token_refunds: successfulTokenRefunds,
+        failed_token_refunds: failedTokenRefunds,
+        total_wallets: refundWallets.length
     }));
 }
\ No newline at end of file
@@ -13,20 +13,51 @@ import { randomBytes } from 'k6/crypto';
 
 // Module imports
 import { configManager } from './lib/config-loader.js';
-import { jsonCall, get, post } from './lib/rpc-client.js';
+import { jsonCall, jsonBatchCall, get } from './lib/rpc-client.js';
+import { RPC_URLS, ENDPOINT_STRATEGY, selectEndpoint } from './lib/endpoint-selector.js';
 import { wsSub } from './lib/websocket-client.js';
 import { 
     generateWallets, 
+    walletDerivationMode,
     buildRawTx, 
+    sendRawTx,
     buildERC20TransferData,
+    buildERC20BalanceOfData,
     fundWallets,
-    distributeERC20Tokens
+    distributeERC20Tokens,
+    confirmFunding,
+    loadFunders,
+    WALLET_ASSIGNMENT,
+    resolveWalletCount,
+    leaseWallet,
+    requireWalletPerVU
 } from './lib/wallet-manager.js';
+import {
+    WALLET_POOL_FILE,
+    loadWalletPool,
+    walletsFromPool,
+    topUpWallets,
+    topUpTokens
+} from './lib/wallet-pool.js';
+import { PRESIGNED_TX_FILE, loadPresignedTxs, sendPresignedTx } from './lib/presigned-pool.js';
+import { getGasFees } from './lib/gas-strategy.js';
+import { resetNonce } from './lib/nonce-manager.js';
+import {
+    DEPLOY_CONTRACT,
+    loadContractBytecode,
+    deployContract,
+    loadInitCode,
+    sendDeployTx
+} from './lib/contract-deployer.js';
+import { VERIFY_WRITES, verifyReadAfterWrite } from './lib/tx-tracker.js';
+import { nextPayloadSize, buildPadding, payloadGasLimit } from './lib/calldata.js';
 import { 
     recordSuccess, 
     recordFailure, 
-    addRTT 
+    addRTT,
+    walletUnavailable
 } from './lib/metrics.js';
+import { endpointLabel } from './lib/endpoint-auth.js';
 
 // Load configuration
 configManager.loadAll();
@@ -40,12 +71,7 @@ let RUN_ID;
 const SCENARIO = (__ENV.SCENARIO_TYPE || envConfig.defaults.scenario).trim();
 const PROFILE = (__ENV.LOAD_PROFILE || envConfig.defaults.profile).trim().toLowerCase();
 
-// RPC endpoints
-const RPC_URLS = (__ENV.RPC_URLS || '')
-    .split(',')
-    .map(s => s.trim())
-    .filter(Boolean);
-
+// RPC endpoints (RPC_URLS, optionally weighted as url|weight)
 if (RPC_URLS.length === 0) {
     throw new Error('At least one RPC_URL must be provided in RPC_URLS environment variable');
 }
@@ -63,18 +89,39 @@ const validation = rpcConfig.validation;
 const CONTRACT = (__ENV.CONTRACT_ADDRESS || contracts.defaultContract).toLowerCase();
 const SIMPLE_SIG = __ENV.SIMPLE_SIG || contracts.simpleFunctionSig;
 const HEAVY_SIG = __ENV.HEAVY_SIG || contracts.heavyFunctionSig;
+const SET_VALUE_SIG = __ENV.SET_VALUE_SIG || contracts.setValueSig;
 
-const BASE_PRIV = (__ENV.PRIVATE_KEY || '').replace(/^0x/, '');
-const BASE_ADDR = (__ENV.WALLET_ADDRESS || '').toLowerCase();
+// Funder accounts (PRIVATE_KEYS or PRIVATE_KEY); the first one doubles as the base account
+const FUNDERS = loadFunders();
+const BASE_PRIV = FUNDERS.length > 0 ? FUNDERS[0].pk : '';
+const BASE_ADDR = FUNDERS.length > 0 ? FUNDERS[0].addr : '';
 const CHAIN_ID = Number(__ENV.CHAIN_ID || blockchain.chainId);
 
+// Base account as a wallet object; every VU sends from it, so its nonce is fetched per transaction
+const BASE_WALLET = { pk: BASE_PRIV, addr: BASE_ADDR, nonce: 0, shared: true };
+
 const ERC20_ADDR = (__ENV.ERC20_TOKEN || '').toLowerCase();
 const TOKEN_DECIMALS = Number(__ENV.TOKEN_DECIMALS || tokens.defaultDecimals);
+
+// S12 senders: 'wallets' transfers airdropped tokens between test wallets, 'base' sends everything from the base account
+const ERC20_SENDER_MODE = (__ENV.ERC20_SENDER_MODE || tokens.erc20SenderMode).trim().toLowerCase();
+if (!['base', 'wallets'].includes(ERC20_SENDER_MODE)) {
+    throw new Error(`Unknown ERC20_SENDER_MODE '${ERC20_SENDER_MODE}', expected base or wallets`);
+}
 const LOG_TOPIC = __ENV.LOG_TOPIC || rpcConfig.events.defaultLogTopic;
 
 // Performance settings
 const WALLET_CNT = Number(__ENV.WALLET_COUNT || rpcConfig.performance.walletCount);
 
+// Pre-funded wallet pool (see prepare_wallet_pool.js), loaded once and shared across VUs
+const WALLET_POOL = WALLET_POOL_FILE ? loadWalletPool(WALLET_POOL_FILE) : null;
+
+// Pre-signed S11 transactions (see presign_transactions.js), popped once each across all VUs
+if (PRESIGNED_TX_FILE && SCENARIO !== 'S11_SendRawTxSmall') {
+    throw new Error('PRESIGNED_TX_FILE is only supported by S11_SendRawTxSmall');
+}
+const PRESIGNED_TXS = PRESIGNED_TX_FILE ? loadPresignedTxs(PRESIGNED_TX_FILE) : null;
+
 // Get write scenarios from config
 const WRITE_SCENARIOS = configManager.getWriteScenarios();
 
@@ -82,16 +129,32 @@ const WRITE_SCENARIOS = configManager.getWriteScenarios();
 const requirements = configManager.getScenarioRequirements(SCENARIO);
 if (requirements.requiresWallet && WRITE_SCENARIOS.includes(SCENARIO)) {
     if (!BASE_PRIV || !BASE_ADDR) {
-        throw new Error('PRIVATE_KEY and WALLET_ADDRESS are required for write scenarios');
+        throw new Error('PRIVATE_KEYS, or PRIVATE_KEY and WALLET_ADDRESS, are required for write scenarios');
     }
 }
 if (requirements.requiresERC20 && !ERC20_ADDR) {
     throw new Error('ERC20_TOKEN address is required for ERC20 scenarios');
 }
 
+// Deploy SimpleHeavyTest in setup instead of relying on CONTRACT_ADDRESS
+const DEPLOY_BYTECODE = DEPLOY_CONTRACT && requirements.requiresContract ? loadContractBytecode() : null;
+if (DEPLOY_BYTECODE && (!BASE_PRIV || !BASE_ADDR)) {
+    throw new Error('PRIVATE_KEYS, or PRIVATE_KEY and WALLET_ADDRESS, are required for DEPLOY_CONTRACT');
+}
+
+// Init code sent by every S22 iteration
+const DEPLOY_INIT_CODE = SCENARIO === 'S22_ContractDeploy' ? loadInitCode() : null;
+
 // Current log block for log queries
 let currentLogBlock = null;
 
+// Executor configuration of the selected load profile
+const K6_PROFILE = configManager.buildK6Profile(PROFILE, VU_COUNT);
+const PROFILE_MAX_VUS = K6_PROFILE.maxVUs || K6_PROFILE.preAllocatedVUs || K6_PROFILE.vus || 1;
+
+// With WALLET_ASSIGNMENT=exclusive, write scenarios lease each wallet to one VU
+const EXCLUSIVE_WALLETS = WALLET_ASSIGNMENT === 'exclusive' && WRITE_SCENARIOS.includes(SCENARIO);
+
 // Export k6 options
 export const options = {
     setupTimeout: envConfig.timeouts.setup,
@@ -99,11 +162,39 @@ export const options = {
     scenarios: {
         main: {
             exec: 'main_scenario',
-            ...configManager.buildK6Profile(PROFILE, VU_COUNT)
+            ...K6_PROFILE
         }
     }
 };
 
+/**
+ * Log the funding confirmation result and drop wallets that failed to fund
+ * @param {string} runId - Run identifier
+ * @param {object} result - confirmFunding() result
+ * @param {array} wallets - Wallets the confirmation was run for
+ * @returns {array} Wallets that are funded
+ */
+function reportFunding(runId, result, wallets) {
+    console.log(JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: result.failed.length > 0 ? 'WARN' : 'INFO',
+        message: 'Funding confirmation completed',
+        run_id: runId,
+        scenario: SCENARIO,
+        funded_wallets: result.funded.length,
+        failed_wallets: result.failed.map(f => ({
+            index: f.wallet.index,
+            addr: f.wallet.addr,
+            reason: f.reason
+        }))
+    }));
+
+    if (result.funded.length === 0 && wallets.length > 0) {
+        throw new Error(`None of the ${wallets.length} wallets could be funded`);
+    }
+    return result.funded;
+}
+
 /**
  * Setup phase - prepare wallets and initial state
  */
@@ -122,33 +213,88 @@ export function setup() {
         scenario: SCENARIO,
         profile: PROFILE,
         wallet_count: WALLET_CNT,
-        rpc_urls: RPC_URLS.length
+        wallet_assignment: EXCLUSIVE_WALLETS ? 'exclusive' : 'shared',
+        max_vus: PROFILE_MAX_VUS,
+        rpc_urls: RPC_URLS.length,
+        endpoint_strategy: ENDPOINT_STRATEGY
     }));
 
+    // Pre-signed transactions carry their own senders, nothing to fund or recover
+    if (PRESIGNED_TXS) {
+        console.log(`Loaded ${PRESIGNED_TXS.length} pre-signed transactions from ${PRESIGNED_TX_FILE}`);
+        return { wallets: [], runId, presigned: true };
+    }
+
+    // Contract scenarios target a freshly deployed contract when DEPLOY_CONTRACT=true
+    let contract = CONTRACT;
+    if (DEPLOY_BYTECODE) {
+        contract = deployContract(RPC_URLS[0], BASE_WALLET, DEPLOY_BYTECODE, sleep);
+        console.log(`Deployed SimpleHeavyTest at ${contract}`);
+    }
+
+    // Exclusive leasing needs one wallet per VU the profile can run
+    const walletCount = resolveWalletCount(WALLET_CNT, PROFILE_MAX_VUS, EXCLUSIVE_WALLETS);
+
+    // Reuse the pre-funded pool, topping up only wallets below the balance threshold
+    if (WALLET_POOL) {
+        let wallets = walletsFromPool(WALLET_POOL, walletCount);
+        console.log(`Loaded ${wallets.length} wallets from pool ${WALLET_POOL_FILE}`);
+        requireWalletPerVU(wallets.length, PROFILE_MAX_VUS, EXCLUSIVE_WALLETS);
+
+        if (WRITE_SCENARIOS.includes(SCENARIO)) {
+            const toppedUp = topUpWallets(RPC_URLS[0], wallets, FUNDERS, sleep);
+            if (toppedUp.length > 0) {
+                const result = confirmFunding(RPC_URLS[0], toppedUp, sleep);
+                reportFunding(runId, result, toppedUp);
+                const failedAddrs = result.failed.map(f => f.wallet.addr);
+                wallets = wallets.filter(w => !failedAddrs.includes(w.addr));
+            }
+        }
+
+        // S12 in wallets mode transfers the pool wallets' own tokens
+        if (SCENARIO === 'S12_SendRawTxERC20' && ERC20_SENDER_MODE === 'wallets') {
+            const toppedUp = topUpTokens(RPC_URLS[0], wallets, FUNDERS, ERC20_ADDR, sleep);
+            if (toppedUp.length > 0) {
+                const result = confirmFunding(RPC_URLS[0], toppedUp, sleep, { requireNative: false, requireToken: true });
+                reportFunding(runId, result, toppedUp);
+                const failedAddrs = result.failed.map(f => f.wallet.addr);
+                wallets = wallets.filter(w => !failedAddrs.includes(w.addr));
+            }
+        }
+
+        console.log('Setup complete.');
+        return { wallets, runId, contract, fromPool: true };
+    }
+
     // Generate test wallets
-    const wallets = generateWallets(WALLET_CNT);
-    console.log(`Generated ${wallets.length} test wallets`);
+    let wallets = generateWallets(walletCount);
+    let unfundedWallets = [];
+    console.log(`Generated ${wallets.length} test wallets (derivation: ${walletDerivationMode()})`);
 
     // Fund wallets for write scenarios
     if (WRITE_SCENARIOS.includes(SCENARIO)) {
         console.log('Funding wallets for write scenarios...');
         const fundUrl = RPC_URLS[0];
         
-        // Fund wallets with ETH
-        let baseNonce = fundWallets(fundUrl, wallets, BASE_PRIV, BASE_ADDR, sleep);
+        // Fund wallets with ETH, split across the funder accounts
+        const funderNonces = fundWallets(fundUrl, wallets, FUNDERS, sleep);
 
         // Distribute ERC20 tokens if needed
         if (SCENARIO === 'S12_SendRawTxERC20') {
-            distributeERC20Tokens(fundUrl, wallets, BASE_PRIV, ERC20_ADDR, baseNonce, sleep);
+            distributeERC20Tokens(fundUrl, wallets, FUNDERS, ERC20_ADDR, funderNonces, sleep);
         }
         
-        // Wait for transactions to be mined
-        console.log('Waiting for funding transactions to be processed...');
-        sleep(envConfig.delays.fundingWait);
+        // Wait until every funding transaction is mined instead of a fixed sleep
+        const result = confirmFunding(fundUrl, wallets, sleep, {
+            requireToken: SCENARIO === 'S12_SendRawTxERC20'
+        });
+        const funded = reportFunding(runId, result, wallets);
+        unfundedWallets = result.failed.map(f => f.wallet);
+        wallets = funded;
     }
 
     console.log('Setup complete.');
-    return { wallets, runId };
+    return { wallets, unfundedWallets, runId, contract };
 }
 
 /**
@@ -161,14 +307,25 @@ export function main_scenario(data) {
         globalThis.RUN_ID = RUN_ID; // Make available globally
     }
 
-    // Distribute VUs across RPC endpoints
-    const endpointIndex = (__VU - 1) % RPC_URLS.length;
-    const rpcUrl = RPC_URLS[endpointIndex];
+    // Contract deployed in setup, or CONTRACT_ADDRESS
+    const contractAddr = data.contract || CONTRACT;
+
+    // Pick this iteration's endpoint with ENDPOINT_STRATEGY (default: pinned per VU)
+    const rpcUrl = selectEndpoint(__VU);
     const wsUrl = rpcUrl.replace(/^http/, 'ws');
     
-    // Assign wallet to VU
-    const walletIndex = (__VU - 1) % data.wallets.length;
-    const testWallet = data.wallets[walletIndex];
+    // Pre-signed mode only pops the next raw transaction, no signing or fee lookups
+    if (PRESIGNED_TXS) {
+        return sendPresignedTx(rpcUrl, PRESIGNED_TXS, { tx_type: 'self_transfer' },
+            result => typeof result === 'string' && result.startsWith('0x') && result.length === 66);
+    }
+
+    // Assign wallet to VU; with exclusive leasing VUs beyond the pool size sit out
+    const testWallet = leaseWallet(data.wallets, EXCLUSIVE_WALLETS);
+    if (!testWallet) {
+        walletUnavailable.add(1, { scenario: SCENARIO, endpoint: endpointLabel(rpcUrl) });
+        return;
+    }
 
     // Get scenario configuration
     const scenarioConfig = configManager.getScenario(SCENARIO);
@@ -196,14 +353,14 @@ export function main_scenario(data) {
         // Smart contract interaction tests
         case 'S5_EthCallSimple':
             return jsonCall(rpcUrl, 'eth_call', 
-                [{ to: CONTRACT, data: SIMPLE_SIG }, 'latest'],
-                { contract_addr: CONTRACT, call_type: 'simple' },
+                [{ to: contractAddr, data: SIMPLE_SIG }, 'latest'],
+                { contract_addr: contractAddr, call_type: 'simple' },
                 result => typeof result === 'string' && result.startsWith('0x'));
 
         case 'S6_EthCallHeavy':
             return jsonCall(rpcUrl, 'eth_call', 
-                [{ to: CONTRACT, data: HEAVY_SIG }, 'latest'],
-                { contract_addr: CONTRACT, call_type: 'heavy' },
+                [{ to: contractAddr, data: HEAVY_SIG }, 'latest'],
+                { contract_addr: contractAddr, call_type: 'heavy' },
                 result => typeof result === 'string' && result.startsWith('0x'));
 
         // Log queries
@@ -273,7 +430,7 @@ export function main_scenario(data) {
         case 'S11_SendRawTxSmall': {
             const transferAmount = BigInt(__ENV.TRANSFER_AMOUNT || tokens.defaultTransferAmount);
             const raw = buildRawTx(rpcUrl, testWallet, testWallet.addr, transferAmount, '0x');
-            return jsonCall(rpcUrl, 'eth_sendRawTransaction', [raw], 
+            return sendRawTx(rpcUrl, testWallet, raw, 
                 { 
                     tx_type: 'self_transfer',
                     wallet_addr: testWallet.addr,
@@ -284,21 +441,75 @@ export function main_scenario(data) {
 
         case 'S12_SendRawTxERC20': {
             const tokenAmount = (BigInt(10) ** BigInt(TOKEN_DECIMALS)) / BigInt(tokens.erc20TransferDivisor);
-            const transferData = buildERC20TransferData(testWallet.addr, tokenAmount);
-            
-            const sender = { pk: BASE_PRIV, addr: BASE_ADDR };
+
+            // In wallets mode the VU's wallet pays the next test wallet, so tokens circulate around the set
+            const fromWallets = ERC20_SENDER_MODE === 'wallets';
+            const sender = fromWallets ? testWallet : BASE_WALLET;
+            const recipient = fromWallets
+                ? data.wallets[(data.wallets.indexOf(testWallet) + 1) % data.wallets.length]
+                : testWallet;
+            const transferData = buildERC20TransferData(recipient.addr, tokenAmount);
             const raw = buildRawTx(rpcUrl, sender, ERC20_ADDR, 0, transferData);
             
-            return jsonCall(rpcUrl, 'eth_sendRawTransaction', [raw], 
+            return sendRawTx(rpcUrl, sender, raw, 
                 {
                     tx_type: 'erc20_transfer',
+                    sender_mode: ERC20_SENDER_MODE,
                     token_addr: ERC20_ADDR,
-                    recipient: testWallet.addr,
+                    recipient: recipient.addr,
                     amount: tokenAmount.toString()
                 },
                 result => typeof result === 'string' && result.startsWith('0x') && result.length === 66);
         }
 
+        case 'S21_ContractSetValue': {
+            // A random value per write, so the slot is rewritten with non-zero data every time
+            const value = '0x' + Array.from({ length: 64 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+            const raw = buildRawTx(rpcUrl, testWallet, contractAddr, 0, SET_VALUE_SIG + value.slice(2));
+            const txHash = sendRawTx(rpcUrl, testWallet, raw,
+                {
+                    tx_type: 'contract_write',
+                    contract_addr: contractAddr,
+                    wallet_addr: testWallet.addr
+                },
+                result => typeof result === 'string' && result.startsWith('0x') && result.length === 66);
+
+            // Read the value back through getValue() on every endpoint
+            if (txHash && VERIFY_WRITES) {
+                verifyReadAfterWrite(rpcUrl, RPC_URLS, txHash, { to: contractAddr, data: SIMPLE_SIG }, value,
+                    { contract_addr: contractAddr, tx_type: 'contract_write' });
+            }
+            return txHash;
+        }
+
+        case 'S22_ContractDeploy':
+            return sendDeployTx(rpcUrl, testWallet, DEPLOY_INIT_CODE,
+                { wallet_addr: testWallet.addr },
+                result => typeof result === 'string' && result.startsWith('0x') && result.length === 66);
+
+        // Calldata size sweep, rotating through PAYLOAD_SIZES
+        case 'S23_SendRawTxCalldata': {
+            const payloadBytes = nextPayloadSize();
+            const raw = buildRawTx(rpcUrl, testWallet, testWallet.addr, 0, '0x' + buildPadding(payloadBytes),
+                { gasLimit: payloadGasLimit(payloadBytes) });
+            return sendRawTx(rpcUrl, testWallet, raw,
+                {
+                    tx_type: 'calldata_payload',
+                    wallet_addr: testWallet.addr,
+                    payload_bytes: String(payloadBytes)
+                },
+                result => typeof result === 'string' && result.startsWith('0x') && result.length === 66);
+        }
+
+        case 'S24_EthCallCalldata': {
+            // getValue() ignores the trailing padding, so only the payload size varies
+            const payloadBytes = nextPayloadSize();
+            return jsonCall(rpcUrl, 'eth_call',
+                [{ to: contractAddr, data: SIMPLE_SIG + buildPadding(payloadBytes) }, 'latest'],
+                { contract_addr: contractAddr, call_type: 'calldata_payload', payload_bytes: String(payloadBytes) },
+                result => typeof result === 'string' && result.startsWith('0x'));
+        }
+
         // WebSocket subscriptions
         case 'S13_PendingTxSub':
             return wsSub(wsUrl, rpcUrl, 'eth_subscribe', ['newPendingTransactions']);
@@ -308,14 +519,14 @@ export function main_scenario(data) {
 
         case 'S15_LogsSubFilter':
             return wsSub(wsUrl, rpcUrl, 'eth_subscribe', ['logs', { 
-                address: CONTRACT,
+                address: contractAddr,
                 topics: [LOG_TOPIC]
             }]);
 
         // Gas estimation
         case 'S17_EstimateGas': {
             const callData = __ENV.EST_DATA || SIMPLE_SIG;
-            const targetContract = __ENV.EST_CONTRACT || CONTRACT;
+            const targetContract = __ENV.EST_CONTRACT || contractAddr;
             
             return jsonCall(rpcUrl, 'eth_estimateGas', 
                 [{ to: targetContract, data: callData }],
@@ -338,63 +549,13 @@ export function main_scenario(data) {
         // Batch calls
         case 'S19_BatchCalls': {
             const batchSize = Number(__ENV.BATCH_CALL_SIZE || rpcConfig.performance.batchSize);
-            const batch = Array.from({ length: batchSize }, (_, i) => ({
-                jsonrpc: '2.0', 
-                id: i + 1, 
+            const calls = Array.from({ length: batchSize }, () => ({
                 method: 'eth_call',
-                params: [{ to: CONTRACT, data: SIMPLE_SIG }, 'latest'],
+                params: [{ to: contractAddr, data: SIMPLE_SIG }, 'latest'],
+                expectFn: result => typeof result === 'string' && result.startsWith('0x')
             }));
-            
-            const startTime = Date.now();
-            const tags = { 
-                run_id: RUN_ID,
-                scenario: SCENARIO, 
-                endpoint: rpcUrl,
-                method: 'batch_eth_call',
-                transport: 'http',
-                batch_size: batchSize
-            };
-            
-            const res = post(rpcUrl, JSON.stringify(batch), { tags });
-            
-            if (res.status !== 200) {
-                return recordFailure({ ...tags, stage: 'http' }, 
-                    `Batch call HTTP error: ${res.status}`, { isHttpError: true });
-            }
-            
-            let batchResponse;
-            try {
-                batchResponse = res.json();
-            } catch (e) {
-                return recordFailure({ ...tags, stage: 'json_parse' }, 
-                    `Batch response parse error: ${e.message}`);
-            }
-            
-            if (!Array.isArray(batchResponse) || batchResponse.length !== batchSize) {
-                return recordFailure({ ...tags, stage: 'batch_validation' }, 
-                    `Invalid batch response: expected ${batchSize} items`);
-            }
-            
-            // Validate each response
-            let successCount = 0;
-            batchResponse.forEach((resp, index) => {
-                if (resp.jsonrpc === '2.0' && resp.id === index + 1 && resp.result) {
-                    successCount++;
-                }
-            });
-            
-            const duration = Date.now() - startTime;
-            const successRate = successCount / batchSize;
-            
-            if (successRate >= validation.successThreshold) {
-                recordSuccess({ ...tags, success_count: successCount, success_rate: successRate });
-            } else {
-                recordFailure({ ...tags, success_count: successCount, success_rate: successRate }, 
-                    `Batch success rate too low: ${successRate}`);
-            }
-            
-            addRTT(duration, tags);
-            return batchResponse;
+
+            return jsonBatchCall(rpcUrl, calls, { contract_addr: contractAddr, call_type: 'simple' });
         }
 
         // HTTP handshake test
@@ -403,7 +564,7 @@ export function main_scenario(data) {
             const tags = { 
                 run_id: RUN_ID,
                 scenario: SCENARIO, 
-                endpoint: rpcUrl,
+                endpoint: endpointLabel(rpcUrl),
                 method: 'http_handshake',
                 transport: 'http'
             };
@@ -417,7 +578,6 @@ export function main_scenario(data) {
             
             const checks = {
                 'http_status_ok': r => r.status >= 200 && r.status < 300,
-                'response_time_reasonable': r => r.timings.duration < 5000,
                 'connection_established': r => r.timings.connecting >= 0,
                 'tls_handshake_ok': r => !rpcUrl.startsWith('https') || r.timings.tls_handshaking >= 0
             };
@@ -469,24 +629,76 @@ export function teardown(data) {
         return;
     }
 
+    // Pool wallets keep their funds for the next run
+    if (data.fromPool || data.presigned) {
+        console.log(`Wallets belong to pool ${WALLET_POOL_FILE}, skipping fund recovery`);
+        return;
+    }
+
     console.log('Starting fund recovery process...');
     const refundUrl = RPC_URLS[0];
+    // Wallets that failed funding confirmation may still hold partial funds
+    const refundWallets = data.wallets.concat(data.unfundedWallets || []);
     let recoveredFunds = BigInt(0);
     let successfulRefunds = 0;
     let failedRefunds = 0;
+    let recoveredTokens = BigInt(0);
+    let successfulTokenRefunds = 0;
+    let failedTokenRefunds = 0;
     
     try {
-        const currentGasPrice = Number(jsonCall(refundUrl, 'eth_gasPrice', [], { op: 'teardown_gas_price' }));
-        const gasPrice = Math.floor(currentGasPrice * blockchain.teardownGasPriceMultiplier);
+        // Refunds pay exactly gasPrice per gas so the swept value covers the fee
+        const gasPrice = getGasFees(refundUrl, blockchain.teardownGasPriceMultiplier).gasPrice;
         
         console.log(`Teardown gas price: ${gasPrice}`);
 
         // Process wallets in batches
         const batchSize = rpcConfig.performance.batchSize;
-        for (let i = 0; i < data.wallets.length; i += batchSize) {
-            const batch = data.wallets.slice(i, i + batchSize);
+        for (let i = 0; i < refundWallets.length; i += batchSize) {
+            const batch = refundWallets.slice(i, i + batchSize);
             
             batch.forEach(w => {
+                // Funds go back to the account that funded the wallet
+                const refundTo = w.funder || BASE_ADDR;
+
+                // Sweep airdropped tokens first, reserving gas for the transfer
+                let tokenGasCost = BigInt(0);
+                if (ERC20_ADDR) {
+                    try {
+                        const tokenBalanceHex = jsonCall(refundUrl, 'eth_call',
+                            [{ to: ERC20_ADDR, data: buildERC20BalanceOfData(w.addr) }, 'latest'], {
+                                op: 'teardown_token_balance_check',
+                                wallet_addr: w.addr
+                            });
+                        const tokenBalance = tokenBalanceHex && tokenBalanceHex !== '0x' ? BigInt(tokenBalanceHex) : BigInt(0);
+
+                        if (tokenBalance > BigInt(0)) {
+                            const transferData = buildERC20TransferData(refundTo, tokenBalance);
+                            const raw = buildRawTx(refundUrl, w, ERC20_ADDR, 0, transferData, { gasPrice });
+                            const txHash = jsonCall(refundUrl, 'eth_sendRawTransaction', [raw], {
+                                op: 'teardown_token_refund',
+                                wallet_addr: w.addr,
+                                amount: tokenBalance.toString()
+                            });
+
+                            if (txHash) {
+                                tokenGasCost = BigInt(gasPrice) * BigInt(blockchain.defaultGasLimit.erc20);
+                                recoveredTokens += tokenBalance;
+                                successfulTokenRefunds++;
+                                console.log(`Refunded ${tokenBalance} tokens from ${w.addr}, tx: ${txHash}`);
+                            } else {
+                                // The refund below must not sign with a nonce this sweep may have skipped
+                                resetNonce(w);
+                                failedTokenRefunds++;
+                            }
+                        }
+                    } catch (e) {
+                        resetNonce(w);
+                        failedTokenRefunds++;
+                        console.error(`Failed to refund tokens from wallet ${w.addr}: ${e.message}`);
+                    }
+                }
+
                 try {
                     const balanceHex = jsonCall(refundUrl, 'eth_getBalance', [w.addr, 'latest'], {
                         op: 'teardown_balance_check',
@@ -495,7 +707,7 @@ export function teardown(data) {
                     
                     if (!balanceHex) return;
                     
-                    const balance = BigInt(balanceHex);
+                    const balance = BigInt(balanceHex) - tokenGasCost;
                     const gasCost = BigInt(gasPrice) * BigInt(blockchain.defaultGasLimit.simple);
                     
                     // Only refund if balance covers gas costs with margin
@@ -505,7 +717,7 @@ export function teardown(data) {
                     }
 
                     const sendValue = balance - gasCost;
-                    const raw = buildRawTx(refundUrl, w, BASE_ADDR, sendValue, '0x', { gasPrice });
+                    const raw = buildRawTx(refundUrl, w, refundTo, sendValue, '0x', { gasPrice });
                     
                     const txHash = jsonCall(refundUrl, 'eth_sendRawTransaction', [raw], { 
                         op: 'teardown_refund',
@@ -517,6 +729,8 @@ export function teardown(data) {
                         recoveredFunds += sendValue;
                         successfulRefunds++;
                         console.log(`Refunded ${sendValue} wei from ${w.addr}, tx: ${txHash}`);
+                    } else {
+                        failedRefunds++;
                     }
                 } catch (e) {
                     failedRefunds++;
@@ -524,7 +738,7 @@ export function teardown(data) {
                 }
             });
             
-            if (i + batchSize < data.wallets.length) {
+            if (i + batchSize < refundWallets.length) {
                 sleep(envConfig.delays.teardownDelay);
             }
         }
@@ -545,6 +759,10 @@ export function teardown(data) {
         recovered_funds_wei: recoveredFunds.toString(),
         successful_refunds: successfulRefunds,
         failed_refunds: failedRefunds,
-        total_wallets: data.wallets.length
+        token_addr: ERC20_ADDR || null,
+        recovered_tokens: recoveredTokens.toString(),
+        successful_token_refunds: successfulTokenRefunds,
+        failed_token_refunds: failedTokenRefunds,
+        total_wallets: refundWallets.length
     }));
 }
\ No newline at end of file
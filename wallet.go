@@ -2,7 +2,13 @@ package ethgo
 
 import (
 	"encoding/hex"
+	"fmt"
+	"strconv"
+	"strings"
 
+	"github.com/btcsuite/btcd/chaincfg"
+	"github.com/btcsuite/btcutil/hdkeychain"
+	"github.com/tyler-smith/go-bip39"
 	"github.com/umbracle/ethgo/wallet"
 	"go.k6.io/k6/js/modules"
 )
@@ -26,6 +32,84 @@ func (w *Wallet) GenerateKey() (*Key, error) {
 	if err != nil {
 		return nil, err
 	}
+	return keyFromWallet(k)
+}
+
+// DeriveKeyFromMnemonic derives the key at basePath/index from a BIP-39 mnemonic
+// JS: wallet.deriveKeyFromMnemonic(mnemonic, "m/44'/60'/0'/0", index) → {private_key, address}
+func (w *Wallet) DeriveKeyFromMnemonic(mnemonic string, basePath string, index int) (*Key, error) {
+	seed, err := bip39.NewSeedWithErrorChecking(mnemonic, "")
+	if err != nil {
+		return nil, err
+	}
+	return deriveKey(seed, basePath, index)
+}
+
+// DeriveKeyFromSeed derives the key at basePath/index from a hex-encoded BIP-32 seed
+// JS: wallet.deriveKeyFromSeed(seedHex, "m/44'/60'/0'/0", index) → {private_key, address}
+func (w *Wallet) DeriveKeyFromSeed(seedHex string, basePath string, index int) (*Key, error) {
+	seed, err := hex.DecodeString(strings.TrimPrefix(seedHex, "0x"))
+	if err != nil {
+		return nil, fmt.Errorf("invalid seed hex: %w", err)
+	}
+	return deriveKey(seed, basePath, index)
+}
+
+// deriveKey derives the key at basePath/index from a BIP-32 seed, walking the
+// path with ethgo's HD wallet support
+func deriveKey(seed []byte, basePath string, index int) (*Key, error) {
+	if index < 0 || int64(index) >= 1<<31 {
+		return nil, fmt.Errorf("invalid derivation index %d", index)
+	}
+	path, err := parseDerivationPath(basePath)
+	if err != nil {
+		return nil, err
+	}
+	path = append(path, uint32(index))
+
+	master, err := hdkeychain.NewMaster(seed, &chaincfg.MainNetParams)
+	if err != nil {
+		return nil, err
+	}
+	priv, err := path.Derive(master)
+	if err != nil {
+		return nil, err
+	}
+
+	k, err := wallet.NewWalletFromPrivKey(priv.D.FillBytes(make([]byte, 32)))
+	if err != nil {
+		return nil, err
+	}
+	return keyFromWallet(k)
+}
+
+// parseDerivationPath parses paths like m/44'/60'/0'/0 into an ethgo derivation path
+func parseDerivationPath(path string) (wallet.DerivationPath, error) {
+	parts := strings.Split(strings.TrimSpace(path), "/")
+	if len(parts) == 0 || parts[0] != "m" {
+		return nil, fmt.Errorf("derivation path must start with 'm': %q", path)
+	}
+
+	indexes := make(wallet.DerivationPath, 0, len(parts)-1)
+	for _, p := range parts[1:] {
+		if p == "" {
+			continue
+		}
+		offset := uint32(0)
+		if strings.HasSuffix(p, "'") || strings.HasSuffix(p, "h") {
+			offset = hdkeychain.HardenedKeyStart
+			p = p[:len(p)-1]
+		}
+		n, err := strconv.ParseUint(p, 10, 31)
+		if err != nil {
+			return nil, fmt.Errorf("invalid derivation path component %q: %w", p, err)
+		}
+		indexes = append(indexes, uint32(n)+offset)
+	}
+	return indexes, nil
+}
+
+func keyFromWallet(k *wallet.Key) (*Key, error) {
 	pk, err := k.MarshallPrivateKey()
 	if err != nil {
 		return nil, err
@@ -35,5 +119,5 @@ func (w *Wallet) GenerateKey() (*Key, error) {
 	return &Key{
 		PrivateKey: pks,
 		Address:    k.Address().String(),
-	}, err
+	}, nil
 }
@@ -0,0 +1,72 @@
+package ethgo
+
+import (
+	"strings"
+	"testing"
+)
+
+// Well-known development mnemonic used by Hardhat and Anvil
+const testMnemonic = "test test test test test test test test test test test junk"
+
+func TestDeriveKeyFromMnemonic(t *testing.T) {
+	w := &Wallet{}
+	expected := []string{
+		"0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",
+		"0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+	}
+
+	for index, want := range expected {
+		key, err := w.DeriveKeyFromMnemonic(testMnemonic, "m/44'/60'/0'/0", index)
+		if err != nil {
+			t.Fatalf("DeriveKeyFromMnemonic(%d) error: %v", index, err)
+		}
+		if !strings.EqualFold(key.Address, want) {
+			t.Errorf("DeriveKeyFromMnemonic(%d) = %s; want %s", index, key.Address, want)
+		}
+	}
+}
+
+func TestDeriveKeyFromSeedDeterministic(t *testing.T) {
+	w := &Wallet{}
+	seed := "000102030405060708090a0b0c0d0e0f"
+
+	first, err := w.DeriveKeyFromSeed(seed, "m/44'/60'/0'/0", 3)
+	if err != nil {
+		t.Fatalf("DeriveKeyFromSeed error: %v", err)
+	}
+	second, err := w.DeriveKeyFromSeed("0x"+seed, "m/44'/60'/0'/0", 3)
+	if err != nil {
+		t.Fatalf("DeriveKeyFromSeed error: %v", err)
+	}
+	if first.PrivateKey != second.PrivateKey || first.Address != second.Address {
+		t.Errorf("same seed and index derived different keys: %s vs %s", first.Address, second.Address)
+	}
+
+	other, err := w.DeriveKeyFromSeed(seed, "m/44'/60'/0'/0", 4)
+	if err != nil {
+		t.Fatalf("DeriveKeyFromSeed error: %v", err)
+	}
+	if other.Address == first.Address {
+		t.Errorf("different indexes derived the same address %s", other.Address)
+	}
+}
+
+func TestParseDerivationPath(t *testing.T) {
+	path, err := parseDerivationPath("m/44'/60'/0'/0")
+	if err != nil {
+		t.Fatalf("parseDerivationPath error: %v", err)
+	}
+	want := []uint32{0x80000000 + 44, 0x80000000 + 60, 0x80000000, 0}
+	if len(path) != len(want) {
+		t.Fatalf("parseDerivationPath length = %d; want %d", len(path), len(want))
+	}
+	for i := range want {
+		if path[i] != want[i] {
+			t.Errorf("path[%d] = %d; want %d", i, path[i], want[i])
+		}
+	}
+
+	if _, err := parseDerivationPath("44'/60'"); err == nil {
+		t.Error("expected error for path without 'm' prefix")
+	}
+}